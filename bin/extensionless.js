@@ -0,0 +1,14 @@
+/**
+ * Module resolve hook that lets Node load the app's sources as they are.
+ * They import each other without file extensions, eg `from "./Lexer"`, which
+ * Vite resolves but Node's ES module loader doesn't.
+ */
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    const relative = specifier.startsWith("./") || specifier.startsWith("../");
+    if (error?.code !== "ERR_MODULE_NOT_FOUND" || !relative || /\.[cm]?jsx?$/.test(specifier)) throw error;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
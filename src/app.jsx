@@ -1,9 +1,24 @@
-import { useState } from 'preact/hooks'
+import { useState, useRef, useCallback, useEffect } from 'preact/hooks'
 
 import {Canvas} from "./components/Canvas.jsx";
 import { VectorCanvas } from "./components/VectorCanvasRenderer.jsx";
+import { ScriptEditor } from "./components/ScriptEditor.jsx";
+import { DiagnosticsPanel } from "./components/DiagnosticsPanel.jsx";
+import { useHistory } from "./utilities/useHistory";
+import { downloadBlob } from "./utilities/download";
+import { encodeShareState, decodeShareState } from "./utilities/shareState";
+import { classList } from "./utilities/classList";
 import classes from './App.module.scss';
 
+// View settings that shared links carry along with the script
+const defaultSettings = {
+  fit: "auto",                 // zoom to show the whole scene
+  unit: 15,                    // pixels per unit when there's nothing to fit
+  snapToGrid: true,            // enable grid snapping
+  snapMagnetic: true,          // pull drags onto other tips, tails and the axes
+  theme: "auto"                // follows the system's light or dark mode
+};
+
 export function App() {
   const defaultCommands = `b = Vec2(10,8), interactive, #0067C7
 a = Vec2(-2, 10), interactive, #67AA00
@@ -12,38 +27,139 @@ d = a - b, reference, origin: b
 // e = b * 2, origin: 1 0
 `;
 
-  const [commands, setCommands] = useState(defaultCommands);
+  // Typing and drags share one undo timeline; a burst of typing is one step
+  const { value: commands, set: setCommands, reset: resetCommands, undo, redo, canUndo, canRedo } = useHistory(defaultCommands);
+  const [settings, setSettings] = useState(defaultSettings);
+  // Embed mode shows only the canvas, for linking students straight to a scene
+  const [embed, setEmbed] = useState(false);
+  // Which link was just copied, for the button's feedback
+  const [copied, setCopied] = useState(null);
+  // Bumped when a shared scene opens, so the canvas starts afresh and fits it
+  const [sceneKey, setSceneKey] = useState(0);
+  const [diagnostics, setDiagnostics] = useState([]);
+  const editorRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  const handleDownloadSVG = () => {
+    const svg = canvasRef.current?.toSVG();
+    if (svg) downloadBlob(new Blob([svg], { type: "image/svg+xml" }), "vectors.svg");
+  };
+
+  const handleDownloadPNG = async () => {
+    try {
+      const png = await canvasRef.current?.toPNG();
+      if (png) downloadBlob(png, "vectors.png");
+    } catch (e) {
+      console.error("PNG export failed:", e);
+    }
+  };
+
+  // Open the scene in the URL hash, on load and when a link is pasted into the address bar
+  useEffect(() => {
+    const load = async () => {
+      const shared = await decodeShareState(window.location.hash);
+      setEmbed(shared.embed);
+      setSettings({ ...defaultSettings, ...shared.settings });
+      if (shared.commands !== null) {
+        resetCommands(shared.commands);
+        setSceneKey(key => key + 1);
+      }
+    };
+    load();
+    window.addEventListener('hashchange', load);
+    return () => window.removeEventListener('hashchange', load);
+  }, [resetCommands]);
+
+  const handleCopyLink = async (embedLink) => {
+    const hash = await encodeShareState({ commands, settings }, { embed: embedLink });
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
+    // Reloading the editor keeps the scene; doesn't fire hashchange
+    if (!embedLink) window.history.replaceState(null, '', hash);
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(embedLink ? 'embed' : 'link');
+      setTimeout(() => setCopied(null), 1500);
+    } catch (e) {
+      window.prompt('Copy this link:', url);
+    }
+  };
 
   const handleCommandsChange = (e) => {
-    setCommands(e.target.value);
+    setCommands(e.target.value, { group: 'typing' });
   };
 
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), replacing the textarea's own undo
+  // which doesn't know about drags
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) undo();
+      else if ((key === 'z' && e.shiftKey) || key === 'y') redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // Jump to the part of the script a diagnostic points at
+  const handleDiagnosticSelect = useCallback((diagnostic) => {
+    const textarea = editorRef.current;
+    if (!textarea) return;
+    textarea.focus();
+    textarea.setSelectionRange(diagnostic.offset, diagnostic.offset + diagnostic.length);
+  }, []);
+
   return (
-    <div className={classes.appContainer}>
+    <div className={classList(classes.appContainer, embed && classes.embed)}>
       <div className={classes.mainRow}>
         <div className={classes.canvasCol}>
           <VectorCanvas
+            key={sceneKey}
+            ref={canvasRef}
             commands={commands}
-            unit={15}             // pixels per unit
-            bg="#ffffff"
-            gridColor="#eaecef"
-            axesColor="#94a3b8"
-            vectorDefaultColor="#111827"
-            snapToGrid={true}      // enable grid snapping
-            debugging={true}
+            {...settings}
+            onDiagnostics={setDiagnostics}
+            // Each drag writes back once, when it ends, so it undoes as one step
+            onCommandsChange={setCommands}
           />
         </div>
-        <div className={classes.sidebar}>
-          <textarea
+        {!embed && <div className={classes.sidebar}>
+          <div className={classes.toolbar}>
+            <button type="button" onClick={undo} disabled={!canUndo} title="Undo (Ctrl+Z)">Undo</button>
+            <button type="button" onClick={redo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">Redo</button>
+            <button type="button" onClick={handleDownloadSVG} title="Download the diagram as SVG">Download SVG</button>
+            <button type="button" onClick={handleDownloadPNG} title="Download the diagram as PNG">Download PNG</button>
+            <button type="button" onClick={() => handleCopyLink(false)} title="Copy a link to this scene">
+              {copied === 'link' ? 'Copied!' : 'Copy link'}
+            </button>
+            <button type="button" onClick={() => handleCopyLink(true)} title="Copy a link that shows only the canvas">
+              {copied === 'embed' ? 'Copied!' : 'Copy embed link'}
+            </button>
+          </div>
+          <ScriptEditor
             className={classes.editor}
+            textareaRef={editorRef}
             value={commands}
             onInput={handleCommandsChange}
+            diagnostics={diagnostics}
+          />
+          <DiagnosticsPanel
+            diagnostics={diagnostics}
+            onSelect={handleDiagnosticSelect}
           />
           <div className={classes.helperText}>
             <p>Syntax: <code>variableName = Vec2(x,y), [options]</code></p>
             <p>Options: interactive, reference, origin: point</p>
+            <p>Style: dashed, width: 3, opacity: 0.5, hidden, label: "v₁", labelPosition: tip, head: open, noOriginDot</p>
+            <p>Drag: tip, tail, or Shift+shaft to move; lockLength, lockAngle, axis: x, on: circle(c, r)</p>
+            <p>Snap: snap: 0.5, snapAngle: 15, snapLength: 1, magnetic, noSnap</p>
+            <p>Functions: dot, cross, length, normalize, angle, angleBetween, project, reject, reflect, rotate, lerp, perp, min, max, sin, cos, sqrt, PI</p>
+            <p>Shapes: Point, Segment, Line, Circle, Polygon, Angle</p>
+            <p>Matrices: <code>M = Mat2(i, j), grid</code>, M * v, det, inverse, transpose</p>
           </div>
-        </div>
+        </div>}
       </div>
     </div>
   )
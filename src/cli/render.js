@@ -0,0 +1,198 @@
+import { readFile, writeFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { Vec2, Mat2 } from "wtc-math";
+
+import { InstructionRunner } from "../utilities/InstructionRunner";
+import { renderSVG, renderDisplayList } from "../utilities/drawScene";
+import { themes } from "../utilities/themes";
+import { sceneBounds, fitView } from "../utilities/fitView";
+
+const usage = `Usage: vector-render <script.vec> [options]
+
+Renders a vector script to SVG, without a browser.
+
+Options:
+  -o, --out <file>        SVG output path, or - for stdout (default: the script's name with .svg)
+      --json <file>       Also write the scene as JSON: diagnostics, variables and display list
+      --width <px>        Image width (default: 800)
+      --height <px>       Image height (default: 600)
+  -u, --unit <px>         Pixels per unit (default: 40)
+      --fit               Zoom and pan to show the whole scene
+      --fit-padding <px>  Space left around the fitted scene (default: 40)
+      --theme <name>      light, dark, high-contrast or print (default: light)
+      --bg <color>        Background colour, overriding the theme's
+      --grid-color <color>
+      --axes-color <color>
+      --vector-color <color>  Colour of vectors without one of their own
+      --no-grid           Don't draw grid lines
+      --no-minor-grid     Only draw the major grid lines
+      --no-adaptive-grid  A grid line at every integer, whatever the unit
+      --no-axes           Don't draw the axes
+      --no-tick-labels    Don't number the axes
+      --x-label <text>    Name of the x axis
+      --y-label <text>    Name of the y axis
+      --no-labels         Don't label vectors and shapes
+      --label-font <font> Canvas font for labels (default: "12px system-ui")
+      --no-readout        Don't list scalar variables in the corner
+      --precision <n>     Decimals shown for scalars (default: 2)
+      --grid-matrix <name>  Matrix variable to transform the grid by
+      --help              Show this message
+`;
+
+const options = {
+  out: { type: "string", short: "o" },
+  json: { type: "string" },
+  width: { type: "string", default: "800" },
+  height: { type: "string", default: "600" },
+  unit: { type: "string", short: "u", default: "40" },
+  fit: { type: "boolean" },
+  "fit-padding": { type: "string", default: "40" },
+  theme: { type: "string", default: "light" },
+  bg: { type: "string" },
+  "grid-color": { type: "string" },
+  "axes-color": { type: "string" },
+  "vector-color": { type: "string" },
+  grid: { type: "boolean", default: true },
+  "no-grid": { type: "boolean" },
+  "minor-grid": { type: "boolean", default: true },
+  "no-minor-grid": { type: "boolean" },
+  "adaptive-grid": { type: "boolean", default: true },
+  "no-adaptive-grid": { type: "boolean" },
+  axes: { type: "boolean", default: true },
+  "no-axes": { type: "boolean" },
+  "tick-labels": { type: "boolean", default: true },
+  "no-tick-labels": { type: "boolean" },
+  "x-label": { type: "string" },
+  "y-label": { type: "string" },
+  labels: { type: "boolean", default: true },
+  "no-labels": { type: "boolean" },
+  "label-font": { type: "string", default: "12px system-ui" },
+  readout: { type: "boolean", default: true },
+  "no-readout": { type: "boolean" },
+  precision: { type: "string", default: "2" },
+  "grid-matrix": { type: "string" },
+  help: { type: "boolean" }
+};
+
+function positiveNumber(name, text) {
+  const value = Number(text);
+  if (!Number.isFinite(value) || value <= 0) throw new Error(`--${name} expects a positive number, got "${text}"`);
+  return value;
+}
+
+// Whole numbers from `min` to `max`, eg a number of decimals
+function integerInRange(name, text, min, max) {
+  const value = Number(text);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`--${name} expects a whole number from ${min} to ${max}, got "${text}"`);
+  }
+  return value;
+}
+
+// JSON-friendly copies of the runner's values
+function serializeValue(value) {
+  if (value instanceof Vec2) return [value.x, value.y];
+  // Row by row, as Mat2(a, b, c, d) is written
+  if (value instanceof Mat2) return [[value.a11, value.a21], [value.a12, value.a22]];
+  if (Array.isArray(value)) return value.map(serializeValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, serializeValue(v)]));
+  }
+  return value;
+}
+
+/**
+ * Runs the command line renderer.
+ * @param {string[]} argv Arguments, without the node and script paths.
+ * @returns {Promise<number>} The exit code: 1 when the script has errors or can't be rendered.
+ */
+export async function main(argv) {
+  let args;
+  try {
+    args = parseArgs({ args: argv, options, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${usage}`);
+    return 2;
+  }
+  const { values, positionals } = args;
+
+  if (values.help || positionals.length !== 1) {
+    (values.help ? console.log : console.error)(usage);
+    return values.help ? 0 : 2;
+  }
+
+  let readoutPrecision;
+  try {
+    readoutPrecision = integerInRange("precision", values.precision, 0, 20);
+  } catch (error) {
+    console.error(`${error.message}\n\n${usage}`);
+    return 2;
+  }
+
+  const [input] = positionals;
+  try {
+    const script = await readFile(input, "utf8");
+    if (!themes[values.theme]) {
+      throw new Error(`--theme expects one of ${Object.keys(themes).join(", ")}, got "${values.theme}"`);
+    }
+    const dims = new Vec2(positiveNumber("width", values.width), positiveNumber("height", values.height));
+    const sceneOptions = {
+      view: { unit: positiveNumber("unit", values.unit), offset: new Vec2(0, 0) },
+      theme: values.theme,
+      bg: values.bg,
+      gridColor: values["grid-color"],
+      axesColor: values["axes-color"],
+      vectorDefaultColor: values["vector-color"],
+      showGrid: values.grid && !values["no-grid"],
+      showMinorGrid: values["minor-grid"] && !values["no-minor-grid"],
+      adaptiveGrid: values["adaptive-grid"] && !values["no-adaptive-grid"],
+      showAxes: values.axes && !values["no-axes"],
+      showTickLabels: values["tick-labels"] && !values["no-tick-labels"],
+      xAxisLabel: values["x-label"],
+      yAxisLabel: values["y-label"],
+      showLabels: values.labels && !values["no-labels"],
+      labelFont: values["label-font"],
+      showReadout: values.readout && !values["no-readout"],
+      readoutPrecision,
+      gridMatrix: values["grid-matrix"]
+    };
+
+    const runner = InstructionRunner.parse({ commands: script });
+    for (const diagnostic of runner.diagnostics) {
+      console.error(`${input}:${diagnostic.line}:${diagnostic.column}: ${diagnostic.severity}: ${diagnostic.message}`);
+    }
+
+    const bounds = values.fit ? sceneBounds(runner) : null;
+    if (bounds) {
+      const padding = Number(values["fit-padding"]);
+      if (!Number.isFinite(padding) || padding < 0) throw new Error(`--fit-padding expects a number, got "${values["fit-padding"]}"`);
+      sceneOptions.view = fitView(bounds, dims, { padding, unit: sceneOptions.view.unit, minUnit: 0.001, maxUnit: 10000 });
+    }
+
+    const svg = renderSVG(runner, dims, sceneOptions);
+    const out = values.out ?? input.replace(/(\.vec)?$/, ".svg");
+    if (out === "-") process.stdout.write(svg);
+    else await writeFile(out, svg);
+
+    if (values.json) {
+      const scene = {
+        width: dims.x,
+        height: dims.y,
+        unit: sceneOptions.view.unit,
+        offset: [sceneOptions.view.offset.x, sceneOptions.view.offset.y],
+        diagnostics: runner.diagnostics.map(d => ({ ...d })),
+        variables: Object.fromEntries(Object.entries(runner.variables).map(([name, entry]) => [name, {
+          value: serializeValue(entry.value),
+          properties: serializeValue(entry.properties ?? {})
+        }])),
+        displayList: renderDisplayList(runner, dims, sceneOptions)
+      };
+      await writeFile(values.json, `${JSON.stringify(scene, null, 2)}\n`);
+    }
+
+    return runner.diagnostics.some(d => d.severity === "error") ? 1 : 0;
+  } catch (error) {
+    console.error(`vector-render: ${error.message}`);
+    return 1;
+  }
+}
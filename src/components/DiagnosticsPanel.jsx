@@ -0,0 +1,43 @@
+import { classList } from "../utilities/classList";
+
+import classes from "./DiagnosticsPanel.module.scss";
+
+/**
+ * Lists parser and runner diagnostics. Clicking an entry calls `onSelect`
+ * with the diagnostic so the host can jump to it.
+ */
+export function DiagnosticsPanel({
+  diagnostics = [],
+  onSelect,
+  className,
+  ...rest
+}) {
+  const errorCount = diagnostics.filter(d => d.severity === "error").length;
+  const warningCount = diagnostics.length - errorCount;
+
+  return (
+    <div className={classList(classes.container, className)} {...rest}>
+      <div className={classes.summary}>
+        {diagnostics.length === 0
+          ? "No problems"
+          : `${errorCount} error${errorCount === 1 ? "" : "s"}, ${warningCount} warning${warningCount === 1 ? "" : "s"}`}
+      </div>
+      {diagnostics.length > 0 && (
+        <ul className={classes.list}>
+          {diagnostics.map((d, i) => (
+            <li key={`${d.offset}-${d.code}-${i}`}>
+              <button
+                type="button"
+                className={classList(classes.item, classes[d.severity])}
+                onClick={() => onSelect?.(d)}
+              >
+                <span className={classes.position}>Ln {d.line}, Col {d.column}</span>
+                <span className={classes.message}>{d.message}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import { useMemo, useRef, useCallback } from "preact/hooks";
+
+import { classList } from "../utilities/classList";
+
+import classes from "./ScriptEditor.module.scss";
+
+/**
+ * A plain-text script editor with a line-number gutter. Lines with diagnostics
+ * get a gutter marker and a highlight, and the failing span is underlined.
+ *
+ * The textarea sits on top of a backdrop that mirrors its text, so the
+ * highlights line up with what the user is typing.
+ */
+export function ScriptEditor({
+  value,
+  onInput,
+  diagnostics = [],
+  className,
+  textareaRef,
+  ...rest
+}) {
+  const ownRef = useRef(null);
+  const inputRef = textareaRef ?? ownRef;
+  const backdropRef = useRef(null);
+  const gutterRef = useRef(null);
+
+  const lines = useMemo(() => (value ?? "").split("\n"), [value]);
+
+  // Group diagnostics by line; errors win over warnings for the line marker
+  const byLine = useMemo(() => {
+    const map = new Map();
+    for (const d of diagnostics) {
+      if (!map.has(d.line)) map.set(d.line, []);
+      map.get(d.line).push(d);
+    }
+    return map;
+  }, [diagnostics]);
+
+  const severityOf = (lineDiagnostics) =>
+    lineDiagnostics?.some(d => d.severity === "error") ? "error" : lineDiagnostics?.[0]?.severity;
+
+  // Keep the gutter and backdrop scrolled with the textarea
+  const handleScroll = useCallback((e) => {
+    const { scrollTop, scrollLeft } = e.currentTarget;
+    if (backdropRef.current) {
+      backdropRef.current.scrollTop = scrollTop;
+      backdropRef.current.scrollLeft = scrollLeft;
+    }
+    if (gutterRef.current) gutterRef.current.scrollTop = scrollTop;
+  }, []);
+
+  const renderLine = (text, lineNumber) => {
+    const lineDiagnostics = byLine.get(lineNumber);
+    if (!lineDiagnostics) return text || " ";
+
+    // Underline the first diagnostic's span on this line
+    const d = lineDiagnostics[0];
+    const start = Math.min(d.column - 1, text.length);
+    const end = Math.min(start + Math.max(d.length, 1), text.length + 1);
+    return (
+      <>
+        {text.slice(0, start)}
+        <mark className={classes[d.severity]}>{text.slice(start, end) || " "}</mark>
+        {text.slice(end)}
+      </>
+    );
+  };
+
+  return (
+    <div className={classList(classes.container, className)} {...rest}>
+      <div className={classes.gutter} ref={gutterRef} aria-hidden="true">
+        {lines.map((_, i) => {
+          const severity = severityOf(byLine.get(i + 1));
+          return (
+            <div
+              key={i}
+              className={classList(classes.gutterLine, severity && classes[severity])}
+              title={byLine.get(i + 1)?.map(d => d.message).join("\n")}
+            >
+              {i + 1}
+            </div>
+          );
+        })}
+      </div>
+      <div className={classes.body}>
+        <div className={classes.backdrop} ref={backdropRef} aria-hidden="true">
+          {lines.map((text, i) => {
+            const severity = severityOf(byLine.get(i + 1));
+            return (
+              <div key={i} className={classList(classes.line, severity && classes[`${severity}Line`])}>
+                {renderLine(text, i + 1)}
+              </div>
+            );
+          })}
+        </div>
+        <textarea
+          ref={inputRef}
+          className={classes.input}
+          value={value}
+          onInput={onInput}
+          onScroll={handleScroll}
+          spellcheck={false}
+          wrap="off"
+        />
+      </div>
+    </div>
+  );
+}
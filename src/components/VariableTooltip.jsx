@@ -0,0 +1,67 @@
+import { Vec2 } from "wtc-math";
+
+import { classList } from "../utilities/classList";
+import { formatScalar } from "../utilities/drawingFunctions";
+import { Point, Segment, Line, Circle, Polygon, Angle } from "../utilities/primitives";
+
+import classes from "./VariableTooltip.module.scss";
+
+const format = (value) => formatScalar(value, 2);
+const formatVector = (v) => `(${format(v.x)}, ${format(v.y)})`;
+const degrees = (radians) => `${format(radians * 180 / Math.PI)}°`;
+
+/**
+ * What the tooltip lists for a variable's value, as [label, text] rows.
+ */
+function describe(value, origin) {
+  if (value instanceof Point) return [["position", formatVector(origin.addNew(value))]];
+  if (value instanceof Vec2) {
+    return [
+      ["components", formatVector(value)],
+      ["length", format(value.length)],
+      ["angle", degrees(Math.atan2(value.y, value.x))]
+    ];
+  }
+  if (value instanceof Segment) return [["from", formatVector(value.start)], ["to", formatVector(value.end)], ["length", format(value.length)]];
+  if (value instanceof Line) return [["through", formatVector(value.point)], ["direction", formatVector(value.direction)]];
+  if (value instanceof Circle) return [["centre", formatVector(value.center)], ["radius", format(value.radius)]];
+  if (value instanceof Polygon) return [["points", String(value.points.length)], ["area", format(Math.abs(value.area))]];
+  if (value instanceof Angle) return [["angle", degrees(value.radians)]];
+  return [];
+}
+
+/**
+ * A small card describing the variable under the pointer: its name, and for
+ * a vector its components, length and angle. Positioned at `px` within the
+ * canvas, flipping to stay inside `dims`.
+ */
+export function VariableTooltip({ name, entry, px, dims, className }) {
+  if (!entry) return null;
+
+  const rows = describe(entry.value, entry.properties?.origin ?? new Vec2(0, 0));
+  const label = entry.properties?.label;
+  // Keep the card on the canvas near the right and bottom edges
+  const flipX = dims && px.x > dims.x - 180;
+  const flipY = dims && px.y > dims.y - 100;
+  const style = {
+    left: `${px.x}px`,
+    top: `${px.y}px`,
+    transform: `translate(${flipX ? "calc(-100% - 12px)" : "12px"}, ${flipY ? "calc(-100% - 12px)" : "12px"})`
+  };
+
+  return (
+    <div className={classList(classes.tooltip, className)} style={style} role="tooltip">
+      <div className={classes.name}>
+        {label ? `${label} (${name})` : name}
+      </div>
+      {rows.length > 0 && (
+        <dl className={classes.rows}>
+          {rows.map(([key, text]) => [
+            <dt key={`${key}-label`}>{key}</dt>,
+            <dd key={key}>{text}</dd>
+          ])}
+        </dl>
+      )}
+    </div>
+  );
+}
@@ -1,250 +1,524 @@
-import { useEffect, useMemo, useRef, useCallback, useState } from "preact/hooks";
+import { useEffect, useLayoutEffect, useMemo, useRef, useCallback, useState, useImperativeHandle } from "preact/hooks";
+import { forwardRef } from "preact/compat";
 import { Vec2 } from "wtc-math";
 
 import { Canvas } from "./Canvas.jsx";
+import { VariableTooltip } from "./VariableTooltip.jsx";
+import classes from "./VectorCanvas.module.scss";
 
 import { InstructionRunner } from "../utilities/InstructionRunner";
-import { drawGrid, drawArrow, pickColor, makeWorldToScreen, screenToWorld } from "../utilities/drawingFunctions";
-
+import { rewriteVariables, hasFreeOrigin } from "../utilities/rewriteScript";
+import { makeWorldToScreen, screenToWorld, zoomViewAt } from "../utilities/drawingFunctions";
+import { drawScene, renderSVG } from "../utilities/drawScene";
+import { resolveThemeName, themeColors, themeProperties } from "../utilities/themes";
+import { useMediaQuery } from "../utilities/useMediaQuery";
+import { sceneBounds, fitView } from "../utilities/fitView";
+import { hitTest } from "../utilities/hitTest";
+import { constrainPoint, constrainValue } from "../utilities/dragConstraints";
+import { snapSettings, magnetTargets, snapPoint } from "../utilities/snapping";
+import { DraggedValues } from "../utilities/DraggedValues";
+
+// Hit radius in CSS pixels around a draggable point, by pointer type
+const hitRadii = {
+  mouse: 6.5,
+  pen: 10,
+  touch: 20
+};
+
+// How close the pointer must be to a shaft or outline to hover or Shift-drag it, by pointer type
+const lineHitRadii = {
+  mouse: 4,
+  pen: 6,
+  touch: 12
+};
+
+/**
+ * Whether a part of a variable (see hitTest) can be dragged: tips and shape
+ * handles of interactive variables, and, where the origin isn't bound to
+ * another variable, a vector's tail or - with Shift - its shaft.
+ */
+function isDraggable(entry, part, shiftKey) {
+  if (!entry?.properties?.interactive) return false;
+  if (part === "tip" || part === "handle") return true;
+  if (part === "tail") return hasFreeOrigin(entry);
+  if (part === "shaft") return shiftKey && hasFreeOrigin(entry);
+  return false;
+}
 
-export function VectorCanvas({
+export const VectorCanvas = forwardRef(({
   commands,
   // Visual options
   unit = 40,                   // pixels per unit
-  bg = "#ffffff",
-  gridColor = "#e5e7eb",       // light grid
-  axesColor = "#9ca3af",       // slightly darker axes
-  vectorDefaultColor = "#111827",
+  // "auto" zooms and pans to show the whole scene; `unit` is then only used for empty scenes
+  fit = "none",
+  fitPadding = 40,             // pixels left around the fitted scene
+  refitOnChange = false,       // with fit="auto", fit again whenever the script changes
+  // light, dark, high-contrast, print, or auto to follow prefers-color-scheme
+  theme = "auto",
+  // Colours override the theme's, as do --vector-* custom properties on the container
+  bg,
+  gridColor,
+  axesColor,
+  vectorDefaultColor,
+  matrixGridColor,
+  matrixAxesColor,
+  // Grid spacing follows the zoom (1, 2, 5 × 10ⁿ); off draws a line at every integer
+  adaptiveGrid = true,
+  showGrid = true,
+  showMinorGrid = true,
+  showAxes = true,
+  showTickLabels = true,       // numbers along the axes
+  xAxisLabel,                  // axis names, eg "x" and "y"
+  yAxisLabel,
   showLabels = true,
   labelFont = "12px system-ui",
+  // Scalar and boolean variables are listed in a readout in the top-left corner
+  showReadout = true,
+  readoutPrecision = 2,
   // Arrow options
   arrowHeadSize = 8,
   arrowLineWidth = 2,
   debugging = false,
   // Interaction options
   enableInteraction = true,    // master switch for interaction
-  snapToGrid = false,
-}) {
+  // Snapping, which `snap`, `snapAngle`, `snapLength`, `magnetic` and `noSnap` modifiers override per variable
+  snapToGrid = false,          // round to multiples of snapStep
+  snapStep = 1,
+  snapAngle = 0,               // degrees a tip's direction snaps to multiples of; 0 is off
+  snapLength = 0,              // units a vector's length snaps to multiples of; 0 is off
+  snapMagnetic = false,        // pull dragged points onto other tips, tails and the axes
+  magnetRadius = 10,           // how near, in pixels, a magnet pulls from
+  showSnapHints = true,        // mark what a dragged point has snapped to
+  enablePanZoom = true,        // wheel/pinch to zoom, drag empty canvas to pan
+  minUnit = 4,
+  maxUnit = 400,
+  showViewControls = true,     // reset-view button
+  enableHover = true,          // highlight the variable under the pointer and show its values
+  gridMatrix,                  // name of a Mat2 variable to transform the grid by
+  // Called with the runner's diagnostics whenever the script is re-parsed
+  onDiagnostics,
+  // Called with the rewritten script when a drag ends, so the source follows the canvas
+  onCommandsChange,
+  writeBackPrecision = 2,
+  // Dragged values survive edits to the script, until their own line changes or they're reset
+  keepDraggedValues = true,
+  // Called with the variable's name and new value on every move while it's dragged
+  onDrag,
+  // Called with the names of the variables moved once every pointer is up
+  onDragEnd,
+}, ref) => {
   const canvasRef = useRef(null);
-  // Track dragging state
-  const [dragInfo, setDragInfo] = useState(null);
+  const containerRef = useRef(null);
+  // Active drags keyed by pointer id, so each finger drags its own vector
+  const drags = useRef(new Map());
+  // Set while two fingers pinch-zoom on empty canvas
+  const pinch = useRef(null);
+  // Variables moved during the current gesture, written back once every pointer is up
+  const moved = useRef(new Set());
+  const [dragCount, setDragCount] = useState(0);
+  // The variable under a mouse or pen that isn't pressed: { name, part, px }
+  const [hover, setHover] = useState(null);
+  // Current zoom (pixels per unit) and pan (pixel offset of world origin from the centre)
+  const [view, setView] = useState(() => ({ unit, offset: new Vec2(0, 0) }));
+  // Size of the canvas in CSS pixels, once it's been measured
+  const [canvasSize, setCanvasSize] = useState(null);
+  // The last script this canvas wrote back after a drag, which shouldn't cause a re-fit
+  const writtenBack = useRef(null);
+  // Set when the view should return home as soon as it can: sized, and not mid-drag
+  const pendingHome = useRef(true);
+  // What each dragged point last snapped to, keyed by pointer id; drawn but not exported
+  const snapHints = useRef(new Map());
+
+  // Values dragged away from the script's, carried into each new runner
+  const draggedValues = useRef(new DraggedValues());
+  // Bumped to rebuild the runner from the script alone
+  const [valuesReset, setValuesReset] = useState(0);
 
   // Parse instructions when commands change
   const runner = useMemo(() => {
     try {
       if(debugging) console.log(InstructionRunner.parse({ commands: commands ?? "" }))
-      return InstructionRunner.parse({ commands: commands ?? "" });
+      const parsed = InstructionRunner.parse({ commands: commands ?? "" });
+      if (keepDraggedValues) draggedValues.current.apply(parsed);
+      return parsed;
     } catch (e) {
       console.error("Instruction parse error:", e);
       return null;
     }
-  }, [commands]);
+  }, [commands, valuesReset]);
 
-  // Create a stable draw callback that renders grid + vectors
-  const draw = useCallback((ctx, dims) => {
-    if (!dims || dims.x <= 0 || dims.y <= 0) return;
-
-    // Grid and axes
-    drawGrid(ctx, dims, unit, { gridColor, axesColor, bg });
-
-    // Prepare transform
-    const toScreen = makeWorldToScreen(dims, unit);
-
-    // Draw vectors from runner
-    if (runner && runner.variables) {
-      for (const [name, entry] of Object.entries(runner.variables)) {
-        if (!entry || !entry.value) continue;
-
-        const vec = entry.value;
-
-        const properties = entry.properties ?? {};
-        const color = pickColor(properties, vectorDefaultColor);
-
-        // Origin in world units, defaults to (0,0)
-        const origin = properties?.origin ?? new Vec2(0, 0);
-
-        const startWorld = origin.clone();
-        const endWorld = origin.addNew(vec);
-
-        const startPx = toScreen(startWorld);
-        const endPx = toScreen(endWorld);
-        const midPx = startPx.addNew(
-          endPx.subtractNew(startPx).scaleNew(.5)
-        )
-
-        drawArrow(ctx, startPx, endPx, {
-          color,
-          lineWidth: arrowLineWidth,
-          headSize: arrowHeadSize,
-          interactive: properties.interactive,
-          bg
-        });
-
-        // Display reference information if this is a reference vector
-        if (properties.reference && vec._sourceOperation) {
-          const { operator, operands } = vec._sourceOperation;
-
-          // Find variable names for the operands
-          const operandVars = [];
-          for (const [varName, varEntry] of Object.entries(runner.variables)) {
-            if (!varEntry || !varEntry.value) continue;
-            if (operands.includes(varEntry.value)) {
-              operandVars.push(varName);
-            }
-          }
-
-          // Draw reference info if we found at least one operand variable name
-          if (operandVars.length > 0) {
-            ctx.save();
-
-            // Map operators to display symbols
-            const opSymbols = {
-              '+': '+',
-              '-': '-',
-              '*': '×',
-              '/': '÷'
-            };
-            const opSymbol = opSymbols[operator] || operator;
-
-            // Create reference text
-            const refText = operandVars.join(` ${opSymbol} `);
-
-            // Draw reference info above the vector
-            ctx.font = labelFont;
-            ctx.fillStyle = color;
-            ctx.textBaseline = "bottom";
-            ctx.textAlign = "center";
-            ctx.fillText(refText, midPx.x, midPx.y - 15);
-
-            ctx.restore();
-          }
-        }
+  // Puts every dragged variable back to the value its script gives it
+  const resetValues = useCallback(() => {
+    draggedValues.current.clear();
+    setValuesReset(n => n + 1);
+  }, []);
 
-        // Optional label
-        if (showLabels && name) {
-          ctx.save();
+  useEffect(() => {
+    if (typeof onDiagnostics === "function") onDiagnostics(runner?.diagnostics ?? []);
+  }, [runner, onDiagnostics]);
 
-          ctx.strokeStyle = bg;
-          ctx.lineWidth = 4;
-          ctx.font = labelFont;
-          ctx.fillStyle = color;
-          ctx.textBaseline = "middle";
-          ctx.textAlign = "center";
-          ctx.strokeText(String(name), ...midPx);
-          ctx.fillText(String(name), ...midPx);
+  const handleResize = useCallback((dims) => {
+    setCanvasSize(size => size && size.x === dims.x && size.y === dims.y ? size : dims);
+  }, []);
 
-          ctx.restore();
-        }
+  // Where "Reset view" goes: the whole scene with fit="auto", otherwise the origin at `unit`
+  const homeView = useMemo(() => {
+    const bounds = fit === "auto" && canvasSize ? sceneBounds(runner) : null;
+    if (bounds) return fitView(bounds, canvasSize, { padding: fitPadding, unit, minUnit, maxUnit });
+    return { unit, offset: new Vec2(0, 0) };
+  }, [fit, canvasSize, runner, fitPadding, unit, minUnit, maxUnit]);
 
-        // dot at the origin point of the vector
-        ctx.save();
-        ctx.fillStyle = color;
-        ctx.beginPath();
-        ctx.arc(...startPx, 2.5, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.restore();
+  const resetView = useCallback(() => {
+    setView(homeView);
+  }, [homeView]);
+
+  // New view props start from a fresh view, as does a new script with refitOnChange
+  useEffect(() => {
+    pendingHome.current = true;
+  }, [unit, fit, fitPadding]);
+  useEffect(() => {
+    if (fit === "auto" && refitOnChange && commands !== writtenBack.current) pendingHome.current = true;
+  }, [runner]);
+  useEffect(() => {
+    if (!pendingHome.current || (fit === "auto" && !canvasSize)) return;
+    if ([...drags.current.values()].some(d => !d.pan)) return;
+    pendingHome.current = false;
+    setView(homeView);
+  }, [homeView, dragCount]);
+
+  const prefersDark = useMediaQuery("(prefers-color-scheme: dark)");
+  const themeName = resolveThemeName(theme, prefersDark);
+
+  // Colours set with --vector-* custom properties, re-read when the page's classes or styles change
+  const [cssColors, setCssColors] = useState({});
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const read = () => {
+      const style = getComputedStyle(container);
+      const colors = {};
+      for (const [key, property] of Object.entries(themeProperties)) {
+        const value = style.getPropertyValue(property).trim();
+        if (value) colors[key] = value;
       }
+      setCssColors(current => JSON.stringify(current) === JSON.stringify(colors) ? current : colors);
+    };
+    read();
+
+    const observer = new MutationObserver(read);
+    for (const node of [document.documentElement, document.body, container]) {
+      observer.observe(node, { attributes: true, attributeFilter: ["class", "style", "data-theme"] });
     }
-  }, [runner, unit, bg, gridColor, axesColor, vectorDefaultColor, showLabels, labelFont, arrowHeadSize, arrowLineWidth, snapToGrid, dragInfo]);
+    return () => observer.disconnect();
+  }, [themeName]);
+
+  const colors = useMemo(() => themeColors(themeName, cssColors, {
+    bg, gridColor, axesColor, vectorDefaultColor, matrixGridColor, matrixAxesColor
+  }), [themeName, cssColors, bg, gridColor, axesColor, vectorDefaultColor, matrixGridColor, matrixAxesColor]);
+
+  // Everything drawScene needs besides the runner; shared by the canvas and exports
+  const sceneOptions = useMemo(() => ({
+    view, ...colors, adaptiveGrid, showGrid, showMinorGrid, showAxes, showTickLabels, xAxisLabel, yAxisLabel,
+    showLabels, labelFont, showReadout, readoutPrecision, arrowHeadSize, arrowLineWidth, gridMatrix
+  }), [
+    view, colors, adaptiveGrid, showGrid, showMinorGrid, showAxes, showTickLabels, xAxisLabel, yAxisLabel,
+    showLabels, labelFont, showReadout, readoutPrecision, arrowHeadSize, arrowLineWidth, gridMatrix
+  ]);
 
-  // Mouse event handlers for interactive vectors
-  const handleMouseDown = useCallback((e) => {
-    if (!enableInteraction || !runner) return;
+  // Create a stable draw callback that renders grid + vectors
+  const highlight = hover?.name;
+  const draw = useCallback((ctx, dims) => {
+    const hints = showSnapHints ? [...snapHints.current.values()].filter(Boolean) : [];
+    drawScene(ctx, dims, runner, { ...sceneOptions, highlight, snapHints: hints });
+  }, [runner, sceneOptions, highlight, showSnapHints]);
+
+  const globalSnap = useMemo(() => ({
+    step: snapToGrid ? snapStep : 0, angle: snapAngle, length: snapLength, magnetic: snapMagnetic
+  }), [snapToGrid, snapStep, snapAngle, snapLength, snapMagnetic]);
+
+  // Export the scene as it's currently shown, at the canvas' size and view
+  useImperativeHandle(ref, () => {
+    const getDimensions = () => canvasRef.current?.getDimensions() ?? new Vec2(0, 0);
+
+    return {
+      // Back to the script's values, as the "Reset values" button does
+      resetValues,
+      // A standalone SVG document
+      toSVG: () => renderSVG(runner, getDimensions(), sceneOptions),
+      // Resolves to a PNG Blob, `scale` times the on-screen size
+      toPNG: ({ scale = Math.max(window.devicePixelRatio || 1, 2) } = {}) => new Promise((resolve, reject) => {
+        const dims = getDimensions();
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.max(1, Math.round(dims.x * scale));
+        canvas.height = Math.max(1, Math.round(dims.y * scale));
+        const ctx = canvas.getContext("2d");
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+        drawScene(ctx, dims, runner, sceneOptions);
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("Couldn't create a PNG")), "image/png");
+      })
+    };
+  }, [runner, sceneOptions, resetValues]);
 
+  /**
+   * Pointer position in canvas pixels and world units, using the current view.
+   */
+  const locate = useCallback((e) => {
     const canvas = canvasRef.current?.getContext()?.canvas;
-    if (!canvas) return;
+    if (!canvas) return null;
 
     const rect = canvas.getBoundingClientRect();
     const mouse = new Vec2(e.clientX - rect.left, e.clientY - rect.top)
     // Use the actual dimensions of the canvas context
-    const dims = canvasRef.current?.getDimensions() || { x: canvas.clientWidth, y: canvas.clientHeight };
-
-    // Convert mouse position to world coordinates
-    const toScreen = makeWorldToScreen(dims, unit);
-
-    const mouseWorld = screenToWorld(dims, unit, mouse);
+    const dims = canvasRef.current?.getDimensions() || new Vec2(canvas.clientWidth, canvas.clientHeight);
 
-    // Check if we're near any interactive vector
-    for (const [name, entry] of Object.entries(runner.variables)) {
-      if (!entry || !entry.value || !entry.properties?.interactive) continue;
+    return {
+      mouse,
+      dims,
+      mouseWorld: screenToWorld(dims, view.unit, mouse, view.offset),
+      toScreen: makeWorldToScreen(dims, view.unit, view.offset)
+    };
+  }, [view]);
+
+  // Starts a pinch once two pointers are panning, from wherever they are now
+  const startPinch = useCallback(() => {
+    const panning = [...drags.current.values()].filter(d => d.pan);
+    if (panning.length !== 2) {
+      pinch.current = null;
+      return;
+    }
+    const [a, b] = panning.map(d => d.current);
+    pinch.current = {
+      startDistance: Math.max(a.subtractNew(b).length, 1),
+      startMid: a.addNew(b).scale(.5),
+      startView: view
+    };
+  }, [view]);
 
-      const vec = entry.value;
+  // Pointer event handlers for interactive vectors
+  const handlePointerDown = useCallback((e) => {
+    if (!enableInteraction || !runner) return;
+    // Only the primary mouse button drags
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+
+    const located = locate(e);
+    if (!located) return;
+    const { mouse, mouseWorld, toScreen } = located;
+
+    // Fingers are less precise than a mouse, so give them a bigger target
+    const hitRadius = hitRadii[e.pointerType] ?? hitRadii.mouse;
+    // One drag per pointer, and one pointer per vector
+    const taken = new Set([...drags.current.values()].map(d => d.vectorName));
+
+    let drag = null;
+
+    // The nearest draggable tip, tail, handle or (with Shift) shaft, topmost on a tie
+    const hit = hitTest(runner, toScreen, mouse, {
+      unit: view.unit,
+      radius: hitRadius,
+      lineRadius: e.shiftKey ? lineHitRadii[e.pointerType] ?? lineHitRadii.mouse : 0,
+      filter: (name, entry, part) => !taken.has(name) && isDraggable(entry, part, e.shiftKey)
+    });
+    if (hit?.part === "handle") {
+      // Shapes are dragged by their control points
+      drag = { vectorName: hit.name, handle: hit.handle, startMouse: mouseWorld };
+    } else if (hit) {
+      // A vector's tip, its tail (the tip stays put) or, from the shaft, the whole vector
+      const entry = runner.variables[hit.name];
       const origin = entry.properties?.origin ?? new Vec2(0, 0);
-      const end = origin.addNew(vec);
-
-      const endPx = toScreen(end);
-
-      // Check if mouse is near tip of vector
-      const distToTip = endPx.subtractNew(mouse).lengthSquared;
-      if (distToTip < 40) {
-        setDragInfo({
-          vectorName: name,
-          origin,
-          originalValue: vec,
-          startMouse: mouseWorld
-        });
-        break;
-      }
+      drag = {
+        vectorName: hit.name,
+        mode: { tip: "tip", tail: "tail", shaft: "translate" }[hit.part],
+        origin,
+        startOrigin: origin.clone(),
+        startValue: entry.value.clone(),
+        startMouse: mouseWorld
+      };
     }
-  }, [runner, enableInteraction, unit]);
-
-  const handleMouseMove = useCallback((e) => {
-    if (!dragInfo || !runner) return;
-
-    const canvas = canvasRef.current?.getContext()?.canvas;
-    if (!canvas) return;
-
-    const rect = canvas.getBoundingClientRect();
-    const mouse = new Vec2(e.clientX - rect.left, e.clientY - rect.top)
-    // Use the actual dimensions of the canvas context
-    const dims = canvasRef.current?.getDimensions() || { x: canvas.clientWidth, y: canvas.clientHeight };
 
+    // Nothing to drag under the pointer: pan the view instead
+    if (!drag && enablePanZoom) {
+      drag = { pan: true, startMouse: mouse, startOffset: view.offset, current: mouse };
+    }
+    if (!drag) return;
+
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    drags.current.set(e.pointerId, drag);
+    if (drag.pan) {
+      startPinch();
+      setHover(null);
+    }
+    setDragCount(drags.current.size);
+  }, [runner, enableInteraction, enablePanZoom, locate, view, startPinch]);
+
+  // Finds what a mouse or pen is over while no button is pressed
+  const updateHover = useCallback((e) => {
+    if (!enableHover || !runner || e.pointerType === "touch" || drags.current.size > 0) return;
+    const located = locate(e);
+    if (!located) return;
+
+    const hit = hitTest(runner, located.toScreen, located.mouse, {
+      unit: view.unit,
+      radius: hitRadii[e.pointerType] ?? hitRadii.mouse,
+      lineRadius: lineHitRadii[e.pointerType] ?? lineHitRadii.mouse
+    });
+    setHover(hit ? { name: hit.name, part: hit.part, shiftKey: e.shiftKey, px: located.mouse } : null);
+  }, [enableHover, runner, locate, view]);
+
+  const handlePointerLeave = useCallback(() => {
+    if (drags.current.size === 0) setHover(null);
+  }, []);
+
+  const handlePointerMove = useCallback((e) => {
+    const drag = drags.current.get(e.pointerId);
+    if (!drag) {
+      updateHover(e);
+      return;
+    }
+    if (!runner) return;
+
+    const located = locate(e);
+    if (!located) return;
+    const { mouse, mouseWorld, dims, toScreen } = located;
+
+    if (drag.pan) {
+      drag.current = mouse;
+
+      // Two fingers: zoom about the start midpoint, then follow the midpoint
+      if (pinch.current) {
+        const [a, b] = [...drags.current.values()].filter(d => d.pan).map(d => d.current);
+        const { startDistance, startMid, startView } = pinch.current;
+        const mid = a.addNew(b).scale(.5);
+        const zoomed = zoomViewAt(dims, startView, startMid, a.subtractNew(b).length / startDistance, { minUnit, maxUnit });
+        setView({ ...zoomed, offset: zoomed.offset.addNew(mid.subtractNew(startMid)) });
+        return;
+      }
 
-    const mouseWorld = screenToWorld(dims, unit, mouse);
+      setView(v => ({ ...v, offset: drag.startOffset.addNew(mouse.subtractNew(drag.startMouse)) }));
+      return;
+    }
 
-    // Calculate new vector value based on mouse position
-    let newValue = mouseWorld.subtractNew(dragInfo.origin);
+    // Snaps a dragged point with the variable's settings, noting what it snapped to
+    const entry = runner.variables[drag.vectorName];
+    const settings = snapSettings(globalSnap, entry?.properties);
+    const snap = (p, origin) => {
+      const targets = settings.magnetic ? magnetTargets(runner, drag.vectorName) : [];
+      const snapped = snapPoint(p, settings, { toScreen, origin, targets, radius: magnetRadius });
+      snapHints.current.set(e.pointerId, snapped.hint);
+      return snapped.point;
+    };
+    // A constraint that moved the point afterwards makes the hint wrong
+    const dropHintUnless = (snapped, final) => {
+      if (final.subtractNew(snapped).length > 1e-9) snapHints.current.delete(e.pointerId);
+    };
 
-    // Apply grid snapping if enabled
-    if (snapToGrid)
-      newValue.resetToVector(newValue.roundNew())
+    // Move a shape's control point
+    if (drag.handle !== undefined) {
+      const shape = entry?.value;
+      if (!shape) return;
+      shape.moveHandle(drag.handle, snap(mouseWorld));
+      drag.moved = true;
+      runner.update(drag.vectorName);
+      canvasRef.current?.redraw?.();
+      if (typeof onDrag === "function") onDrag(drag.vectorName, shape);
+      return;
+    }
 
-    // Update vector value directly
-    const vectorEntry = runner.variables[dragInfo.vectorName];
+    const vectorEntry = entry;
     if (vectorEntry && vectorEntry.value instanceof Vec2) {
       const vector = vectorEntry.value;
+      const properties = vectorEntry.properties ?? {};
+      let newValue;
+      let newOrigin = null;
+
+      if (drag.mode === "translate") {
+        // The value stays; the tail follows the pointer, and `axis`/`on` apply to it
+        const snapped = snap(drag.startOrigin.addNew(mouseWorld.subtractNew(drag.startMouse)));
+        newOrigin = constrainPoint(snapped, properties, drag.startOrigin);
+        dropHintUnless(snapped, newOrigin);
+        newValue = vector.clone();
+      } else if (drag.mode === "tail") {
+        // The tip stays where it was when the drag began
+        const tip = drag.startOrigin.addNew(drag.startValue);
+        const snapped = snap(mouseWorld);
+        newOrigin = constrainPoint(snapped, properties, drag.startOrigin);
+        newValue = constrainValue(tip.subtractNew(newOrigin), properties, drag.startValue);
+        newOrigin = tip.subtractNew(newValue);
+        dropHintUnless(snapped, newOrigin);
+      } else {
+        // Calculate new vector value based on pointer position
+        const origin = properties.origin ?? drag.origin;
+        const snapped = snap(mouseWorld, origin);
+
+        const tip = constrainPoint(snapped, properties, origin.addNew(drag.startValue));
+        newValue = constrainValue(tip.subtractNew(origin), properties, drag.startValue);
+        dropHintUnless(snapped, origin.addNew(newValue));
+      }
+
+      // Update vector value directly
       vector.x = newValue.x;
       vector.y = newValue.y;
-
-      // Update only derived vectors marked as references
-      if (runner.derivedVectors && runner.derivedVectors.has(vector)) {
-        const dependentVectors = runner.derivedVectors.get(vector);
-        for (const dependent of dependentVectors) {
-          // Find the variable entry for this dependent vector
-          let isReference = false;
-          for (const [varName, varEntry] of Object.entries(runner.variables)) {
-            if (varEntry.value === dependent && varEntry.properties?.reference) {
-              isReference = true;
-              break;
-            }
-          }
-
-          // Only update if it's marked as a reference
-          if (isReference && dependent._sourceOperation && typeof dependent._sourceOperation.recompute === 'function') {
-            dependent._sourceOperation.recompute();
-          }
-        }
+      if (newOrigin) {
+        if (properties.origin) properties.origin.resetToVector(newOrigin);
+        else vectorEntry.properties = { ...properties, origin: newOrigin };
       }
+      drag.moved = true;
+
+      // Re-evaluate everything that depends on the dragged vector
+      runner.update(drag.vectorName);
 
       canvasRef.current?.redraw?.();
+      if (typeof onDrag === "function") onDrag(drag.vectorName, vector);
     }
-  }, [dragInfo, runner, unit, snapToGrid]);
-
-  const handleMouseUp = useCallback(() => {
-    if (dragInfo) {
-      setDragInfo(null);
+  }, [runner, locate, globalSnap, magnetRadius, minUnit, maxUnit, onDrag, updateHover]);
+
+  const handlePointerUp = useCallback((e) => {
+    const drag = drags.current.get(e.pointerId);
+    if (!drag) return;
+
+    drags.current.delete(e.pointerId);
+    if (snapHints.current.delete(e.pointerId)) canvasRef.current?.redraw?.();
+    if (drag.pan) {
+      // The finger left on the canvas carries on panning from where it is. The
+      // view is read in an updater, after any pinch zoom not yet rendered
+      pinch.current = null;
+      setView(v => {
+        for (const other of drags.current.values()) {
+          if (!other.pan) continue;
+          other.startMouse = other.current;
+          other.startOffset = v.offset;
+        }
+        return v;
+      });
     }
-  }, [dragInfo]);
+    setDragCount(drags.current.size);
+
+    if (drag.moved) moved.current.add(drag.vectorName);
+    const stillDragging = [...drags.current.values()].some(d => !d.pan);
+    if (stillDragging || moved.current.size === 0) return;
+
+    const names = [...moved.current];
+    moved.current.clear();
+    if (keepDraggedValues) names.forEach(name => draggedValues.current.record(runner, name));
+    if (typeof onDragEnd === "function") onDragEnd(names);
+    if (typeof onCommandsChange !== "function" || !runner || commands == null) return;
+    const script = rewriteVariables(commands, runner, names, { precision: writeBackPrecision });
+    if (script === commands) return;
+    writtenBack.current = script;
+    onCommandsChange(script);
+  }, [runner, commands, onCommandsChange, onDragEnd, writeBackPrecision, keepDraggedValues]);
+
+  // Zoom around the cursor; trackpad pinches arrive as wheel events with ctrlKey set
+  const handleWheel = useCallback((e) => {
+    if (!enablePanZoom) return;
+    const located = locate(e);
+    if (!located) return;
+    e.preventDefault();
+
+    const factor = Math.exp(-e.deltaY * (e.ctrlKey ? 0.01 : 0.0015));
+    setView(v => zoomViewAt(located.dims, v, located.mouse, factor, { minUnit, maxUnit }));
+  }, [enablePanZoom, locate, minUnit, maxUnit]);
 
   // Setup event listeners
   useEffect(() => {
@@ -252,27 +526,60 @@ export function VectorCanvas({
     const canvasElement = canvasRef.current?.getContext()?.canvas;
     if (!canvasElement) return;
 
-    canvasElement.addEventListener('mousedown', handleMouseDown);
-    window.addEventListener('mousemove', handleMouseMove);
-    window.addEventListener('mouseup', handleMouseUp);
+    // Pointer capture keeps moves and the final up coming to the canvas
+    canvasElement.addEventListener('pointerdown', handlePointerDown);
+    canvasElement.addEventListener('pointermove', handlePointerMove);
+    canvasElement.addEventListener('pointerup', handlePointerUp);
+    canvasElement.addEventListener('pointercancel', handlePointerUp);
+    canvasElement.addEventListener('pointerleave', handlePointerLeave);
+    // Not passive, so the page doesn't scroll while zooming
+    canvasElement.addEventListener('wheel', handleWheel, { passive: false });
 
     return () => {
-      canvasElement.removeEventListener('mousedown', handleMouseDown);
-      window.removeEventListener('mousemove', handleMouseMove);
-      window.removeEventListener('mouseup', handleMouseUp);
+      canvasElement.removeEventListener('pointerdown', handlePointerDown);
+      canvasElement.removeEventListener('pointermove', handlePointerMove);
+      canvasElement.removeEventListener('pointerup', handlePointerUp);
+      canvasElement.removeEventListener('pointercancel', handlePointerUp);
+      canvasElement.removeEventListener('pointerleave', handlePointerLeave);
+      canvasElement.removeEventListener('wheel', handleWheel);
     };
-  }, [handleMouseDown, handleMouseMove, handleMouseUp, canvasRef.current]);
+  }, [handlePointerDown, handlePointerMove, handlePointerUp, handlePointerLeave, handleWheel, canvasRef.current]);
 
   // Redraw when relevant inputs change
   useEffect(() => {
     canvasRef.current?.redraw?.();
-  }, [draw, dragInfo]);
+  }, [draw]);
 
+  // Something that can be dragged is under the pointer
+  const canGrab = enableInteraction && hover && isDraggable(runner?.variables[hover.name], hover.part, hover.shiftKey);
   const canvasStyle = useMemo(() => ({
-    cursor: dragInfo ? 'grabbing' : 'default'
-  }), [dragInfo]);
+    cursor: dragCount > 0 ? 'grabbing' : canGrab ? (hover.part === 'shaft' ? 'move' : 'grab') : 'default'
+  }), [dragCount, canGrab, hover?.part]);
+
+  // Read on every render; drags ending and new scripts both re-render
+  const canResetValues = keepDraggedValues && draggedValues.current.size > 0;
+  const isDefaultView = view.unit === homeView.unit && view.offset.x === homeView.offset.x && view.offset.y === homeView.offset.y;
 
   return (
-    <Canvas ref={canvasRef} draw={draw} style={canvasStyle} />
+    <div ref={containerRef} className={classes.container} data-theme={themeName}>
+      <Canvas ref={canvasRef} draw={draw} onResize={handleResize} style={canvasStyle} className={classes.canvas} />
+      {hover && dragCount === 0 && (
+        <VariableTooltip name={hover.name} entry={runner?.variables[hover.name]} px={hover.px} dims={canvasSize} />
+      )}
+      {showViewControls && (enablePanZoom || canResetValues) && (
+        <div className={classes.viewControls}>
+          {canResetValues && (
+            <button type="button" onClick={resetValues} title="Put dragged variables back to the script's values">
+              Reset values
+            </button>
+          )}
+          {enablePanZoom && (
+            <button type="button" onClick={resetView} disabled={isDefaultView} title="Reset view">
+              Reset view
+            </button>
+          )}
+        </div>
+      )}
+    </div>
   );
-}
+});
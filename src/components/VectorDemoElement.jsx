@@ -0,0 +1,229 @@
+import { render, createRef } from "preact";
+
+import { VectorCanvas } from "./VectorCanvasRenderer.jsx";
+// The component's styles are added to the document, which doesn't reach into
+// the shadow root, so the element carries its own copy
+import canvasStyles from "./Canvas.module.scss?inline";
+import vectorCanvasStyles from "./VectorCanvas.module.scss?inline";
+import tooltipStyles from "./VariableTooltip.module.scss?inline";
+
+const hostStyles = `
+:host {
+  display: block;
+  position: relative;
+  height: 400px;
+}
+:host([hidden]) {
+  display: none;
+}
+.root {
+  width: 100%;
+  height: 100%;
+}
+`;
+
+// Attributes and the VectorCanvas props they set
+const attributeProps = {
+  "unit": ["unit", "number"],
+  "fit": ["fit", "string"],
+  "fit-padding": ["fitPadding", "number"],
+  "refit-on-change": ["refitOnChange", "boolean"],
+  "theme": ["theme", "string"],
+  "bg": ["bg", "string"],
+  "grid-color": ["gridColor", "string"],
+  "axes-color": ["axesColor", "string"],
+  "vector-color": ["vectorDefaultColor", "string"],
+  "matrix-grid-color": ["matrixGridColor", "string"],
+  "matrix-axes-color": ["matrixAxesColor", "string"],
+  "adaptive-grid": ["adaptiveGrid", "boolean"],
+  "show-grid": ["showGrid", "boolean"],
+  "show-minor-grid": ["showMinorGrid", "boolean"],
+  "show-axes": ["showAxes", "boolean"],
+  "show-tick-labels": ["showTickLabels", "boolean"],
+  "x-axis-label": ["xAxisLabel", "string"],
+  "y-axis-label": ["yAxisLabel", "string"],
+  "show-labels": ["showLabels", "boolean"],
+  "label-font": ["labelFont", "string"],
+  "show-readout": ["showReadout", "boolean"],
+  "readout-precision": ["readoutPrecision", "number"],
+  "arrow-head-size": ["arrowHeadSize", "number"],
+  "arrow-line-width": ["arrowLineWidth", "number"],
+  "enable-interaction": ["enableInteraction", "boolean"],
+  "snap-to-grid": ["snapToGrid", "boolean"],
+  "snap-step": ["snapStep", "number"],
+  "snap-angle": ["snapAngle", "number"],
+  "snap-length": ["snapLength", "number"],
+  "snap-magnetic": ["snapMagnetic", "boolean"],
+  "magnet-radius": ["magnetRadius", "number"],
+  "show-snap-hints": ["showSnapHints", "boolean"],
+  "enable-pan-zoom": ["enablePanZoom", "boolean"],
+  "min-unit": ["minUnit", "number"],
+  "max-unit": ["maxUnit", "number"],
+  "show-view-controls": ["showViewControls", "boolean"],
+  "enable-hover": ["enableHover", "boolean"],
+  "grid-matrix": ["gridMatrix", "string"],
+  "write-back-precision": ["writeBackPrecision", "number"],
+  "keep-dragged-values": ["keepDraggedValues", "boolean"]
+};
+
+// Missing attributes leave the prop's default; `snap-to-grid` alone is true, `show-labels="false"` is false
+function readAttribute(value, type) {
+  if (value === null) return undefined;
+  if (type === "boolean") return value !== "false";
+  if (type === "number") {
+    const number = Number(value);
+    return value.trim() !== "" && Number.isFinite(number) ? number : undefined;
+  }
+  return value;
+}
+
+/**
+ * `<vector-demo>`: a VectorCanvas as a custom element, for pages that aren't
+ * built with Preact.
+ *
+ *   <vector-demo unit="20" snap-to-grid>a = Vec2(3,4), interactive</vector-demo>
+ *
+ * The script is the element's text content, or the file at its `src`
+ * attribute when that's set. Attributes map to VectorCanvas props (see
+ * `attributeProps`) and both they and the content are watched for changes.
+ *
+ * Events, all bubbling out of the shadow root:
+ * - `vector-drag`: `{ name, value }` on every move while a variable is dragged
+ * - `vector-dragend`: `{ names }` when a drag ends
+ * - `vector-change`: `{ script }` with the script rewritten to match a drag
+ * - `vector-error`: `{ message, diagnostics }` when the script has errors or
+ *   can't be loaded
+ */
+export class VectorDemoElement extends HTMLElement {
+  static observedAttributes = ["src", ...Object.keys(attributeProps)];
+
+  #mount = null;
+  #script = "";
+  #observer = null;
+  #loading = null;
+  #canvas = createRef();
+
+  /**
+   * The script being shown. Setting it replaces the content until the next
+   * time the content or `src` changes.
+   */
+  get script() {
+    return this.#script;
+  }
+
+  set script(value) {
+    this.#setScript(String(value ?? ""));
+  }
+
+  /**
+   * Puts every dragged variable back to the value the script gives it.
+   */
+  resetValues() {
+    this.#canvas.current?.resetValues();
+  }
+
+  connectedCallback() {
+    if (!this.#mount) {
+      const root = this.attachShadow({ mode: "open" });
+      const style = document.createElement("style");
+      style.textContent = hostStyles + canvasStyles + vectorCanvasStyles + tooltipStyles;
+      this.#mount = document.createElement("div");
+      this.#mount.className = "root";
+      root.append(style, this.#mount);
+    }
+
+    // Edits to the inline script, eg by a CMS preview
+    this.#observer = new MutationObserver(() => {
+      if (!this.hasAttribute("src")) this.#setScript(this.textContent);
+    });
+    this.#observer.observe(this, { childList: true, characterData: true, subtree: true });
+
+    this.#load();
+  }
+
+  disconnectedCallback() {
+    this.#observer?.disconnect();
+    this.#loading?.abort();
+    render(null, this.#mount);
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this.isConnected || oldValue === newValue) return;
+    if (name === "src") this.#load();
+    else this.#render();
+  }
+
+  async #load() {
+    this.#loading?.abort();
+    const src = this.getAttribute("src");
+    if (!src) {
+      this.#setScript(this.textContent);
+      return;
+    }
+
+    const loading = this.#loading = new AbortController();
+    try {
+      const response = await fetch(src, { signal: loading.signal });
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+      const script = await response.text();
+      if (!loading.signal.aborted) this.#setScript(script);
+    } catch (error) {
+      if (loading.signal.aborted) return;
+      this.#emit("vector-error", { message: `Couldn't load ${src}: ${error.message}`, diagnostics: [] });
+    }
+  }
+
+  #setScript(script) {
+    if (script === this.#script && this.#mount?.firstChild) return;
+    this.#script = script;
+    this.#render();
+  }
+
+  #render() {
+    if (!this.#mount) return;
+
+    const props = {};
+    for (const [attribute, [prop, type]] of Object.entries(attributeProps)) {
+      const value = readAttribute(this.getAttribute(attribute), type);
+      if (value !== undefined) props[prop] = value;
+    }
+
+    render(
+      <VectorCanvas
+        ref={this.#canvas}
+        {...props}
+        commands={this.#script}
+        onDiagnostics={this.#handleDiagnostics}
+        onDrag={this.#handleDrag}
+        onDragEnd={this.#handleDragEnd}
+        onCommandsChange={this.#handleCommandsChange}
+      />,
+      this.#mount
+    );
+  }
+
+  #emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+  }
+
+  // Stable callbacks, so re-renders don't re-run the canvas' effects
+  #handleDiagnostics = (diagnostics) => {
+    const errors = diagnostics.filter(d => d.severity === "error");
+    if (errors.length) this.#emit("vector-error", { message: errors[0].toString(), diagnostics: errors });
+  };
+
+  #handleDrag = (name, value) => {
+    this.#emit("vector-drag", { name, value: value.clone() });
+  };
+
+  #handleDragEnd = (names) => {
+    this.#emit("vector-dragend", { names });
+  };
+
+  // Keep dragged values: the runner is rebuilt from the rewritten script
+  #handleCommandsChange = (script) => {
+    this.#script = script;
+    this.#render();
+    this.#emit("vector-change", { script });
+  };
+}
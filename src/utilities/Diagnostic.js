@@ -0,0 +1,91 @@
+/**
+ * A problem found while parsing or running a script, positioned in the source
+ * so a host app can point at the exact spot that failed.
+ */
+export class Diagnostic {
+  severity;
+  code;
+  message;
+  line;
+  column;
+  length;
+  offset;
+
+  static SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning',
+    INFO: 'info'
+  }
+
+  static CODE = {
+    UNEXPECTED_CHARACTER: 'unexpected-character',
+    UNEXPECTED_TOKEN: 'unexpected-token',
+    UNRECOGNISED_INSTRUCTION: 'unrecognised-instruction',
+    UNDEFINED_VARIABLE: 'undefined-variable',
+    UNKNOWN_FUNCTION: 'unknown-function',
+    UNKNOWN_OPERATOR: 'unknown-operator',
+    UNKNOWN_METHOD: 'unknown-method',
+    UNKNOWN_PROPERTY: 'unknown-property',
+    UNKNOWN_MODIFIER: 'unknown-modifier',
+    INVALID_ARGUMENT: 'invalid-argument',
+    DUPLICATE_DEFINITION: 'duplicate-definition',
+    CIRCULAR_DEPENDENCY: 'circular-dependency',
+    READ_BEFORE_CHANGE: 'read-before-change',
+    RUNTIME_ERROR: 'runtime-error'
+  }
+
+  /**
+   * @param {object} options
+   * @param {string} [options.severity] One of Diagnostic.SEVERITY.
+   * @param {string} options.code One of Diagnostic.CODE.
+   * @param {string} options.message Human readable description.
+   * @param {object} [options.span] Source span: { line, column, length, offset }, 1-based line and column.
+   */
+  constructor({
+                severity = Diagnostic.SEVERITY.ERROR,
+                code,
+                message,
+                span
+              }) {
+    this.severity = severity;
+    this.code = code;
+    this.message = message;
+    this.line = span?.line ?? 1;
+    this.column = span?.column ?? 1;
+    this.length = span?.length ?? 0;
+    this.offset = span?.offset ?? 0;
+  }
+
+  /**
+   * Converts a thrown error into a diagnostic, using the error's own span if it has one.
+   * @param {Error} error
+   * @param {object} [span] Fallback span, usually the failing instruction's.
+   * @returns {Diagnostic}
+   */
+  static fromError(error, span) {
+    return new Diagnostic({
+      code: error.code ?? Diagnostic.CODE.RUNTIME_ERROR,
+      message: error.message,
+      span: error.span ?? span
+    });
+  }
+
+  toString() {
+    return `Line ${this.line}, column ${this.column}: ${this.message}`;
+  }
+}
+
+/**
+ * An error that knows which part of the script caused it.
+ */
+export class ScriptError extends Error {
+  code;
+  span;
+
+  constructor(message, { code = Diagnostic.CODE.RUNTIME_ERROR, span } = {}) {
+    super(message);
+    this.name = 'ScriptError';
+    this.code = code;
+    this.span = span;
+  }
+}
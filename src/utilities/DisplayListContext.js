@@ -0,0 +1,111 @@
+import { RecordingContext } from "./RecordingContext";
+
+// Rounded so snapshots don't change with floating point noise
+const n = (value) => Math.round(value * 100) / 100;
+const point = (x, y) => [n(x), n(y)];
+
+function paint(mode, state) {
+  const style = mode === "fill"
+    ? { fill: state.fillStyle }
+    : {
+      stroke: state.strokeStyle,
+      lineWidth: n(state.lineWidth),
+      ...(state.lineCap !== "butt" && { lineCap: state.lineCap }),
+      ...(state.lineJoin !== "miter" && { lineJoin: state.lineJoin }),
+      ...(state.lineDash.length && { dash: state.lineDash.map(n) })
+    };
+  if (state.globalAlpha < 1) style.alpha = n(state.globalAlpha);
+  return style;
+}
+
+/**
+ * Turns a recorded path into the simplest item that describes it: a single
+ * straight stroke is a `line`, a lone full turn is a `circle`, a run of
+ * straight edges is a `polyline` (or `polygon` when closed), and anything
+ * else is a generic `path` of commands.
+ */
+function describePath(commands) {
+  const ops = commands.map(c => c.op).join("");
+
+  if (ops === "ML") {
+    return { type: "line", from: point(commands[0].x, commands[0].y), to: point(commands[1].x, commands[1].y) };
+  }
+  if (/^MAZ?$/.test(ops) && commands[1].sweep >= Math.PI * 2) {
+    const { x, y, radius } = commands[1];
+    return { type: "circle", center: point(x, y), radius: n(radius) };
+  }
+  if (/^ML+Z?$/.test(ops)) {
+    const points = commands.filter(c => c.op !== "Z").map(c => point(c.x, c.y));
+    return ops.endsWith("Z") ? { type: "polygon", points } : { type: "polyline", points };
+  }
+  return {
+    type: "path",
+    commands: commands.map(({ op, ...c }) => op === "A"
+      ? { op, center: point(c.x, c.y), radius: n(c.radius), startAngle: n(c.startAngle), sweep: n(c.sweep), anticlockwise: c.anticlockwise }
+      : op === "Z" ? { op } : { op, to: point(c.x, c.y) })
+  };
+}
+
+/**
+ * A drawing backend that records an ordered, JSON-serializable display list
+ * instead of painting, eg for asserting on what a script renders in Node:
+ *
+ *   const list = renderDisplayList(InstructionRunner.parse({ commands }), dims, { view });
+ *   list.find(item => item.type === "group" && item.name === "a")
+ *
+ * Items are `line`, `polyline`, `polygon`, `circle`, `path`, `rect` and
+ * `text`, each with a `fill` or `stroke` style. Groups from drawScene, such
+ * as `{ type: "group", kind: "vector", name: "a", origin: [0, 0], value: [3, 2], items }`,
+ * hold the items drawn for that variable. Item coordinates are in pixels,
+ * rounded to two decimals; a vector group's `origin` and `value` are in
+ * world units.
+ */
+export class DisplayListContext extends RecordingContext {
+  items = [];
+
+  // Open groups, innermost last; items go into the innermost one
+  #open = [];
+
+  beginGroup({ type, ...info } = {}) {
+    const group = { type: "group", kind: type, ...info, items: [] };
+    this.#target().push(group);
+    this.#open.push(group);
+  }
+
+  endGroup() {
+    this.#open.pop();
+  }
+
+  addPath(commands, mode, state) {
+    this.#target().push({ ...describePath(commands), ...paint(mode, state) });
+  }
+
+  addRect({ x, y, width, height }, mode, state) {
+    this.#target().push({ type: "rect", position: point(x, y), size: point(width, height), ...paint(mode, state) });
+  }
+
+  addText(text, x, y, mode, state) {
+    this.#target().push({
+      type: "text",
+      text,
+      position: point(x, y),
+      font: state.font,
+      align: state.textAlign,
+      baseline: state.textBaseline,
+      ...paint(mode, state)
+    });
+  }
+
+  clear() {
+    this.items = [];
+    this.#open = [];
+  }
+
+  toJSON() {
+    return this.items;
+  }
+
+  #target() {
+    return this.#open.at(-1)?.items ?? this.items;
+  }
+}
@@ -0,0 +1,96 @@
+import { Vec2 } from "wtc-math";
+
+import { hasFreeOrigin } from "./rewriteScript";
+
+// Drops the source positions, so moving a definition around the script doesn't change it
+const withoutPositions = (key, value) => key === "span" || key === "string" ? undefined : value;
+
+/**
+ * What a variable's value comes from: its assignment, the method calls and
+ * property changes made on it, and its `origin:`. Colours, labels and the
+ * other modifiers aren't part of it, so restyling a vector keeps its value.
+ */
+function definitionOf(runner, name) {
+  const definition = runner.definitions?.get(name);
+  if (!definition?.instruction) return null;
+  const origin = definition.instruction.modifiers?.find(m => m.type === "PropertyFunction" && m.name === "origin");
+  return JSON.stringify([definition.instruction.value, origin ?? null, definition.mutations ?? []], withoutPositions);
+}
+
+/**
+ * Values set by dragging, kept across edits to the script. Each variable's
+ * value (and free origin) is recorded by name when a drag ends, and put back
+ * into every runner built afterwards for as long as that variable's
+ * definition stays the same, so editing one line only resets the variable
+ * it defines.
+ */
+export class DraggedValues {
+  // name -> { definition, value, origin }
+  #saved = new Map();
+
+  get size() {
+    return this.#saved.size;
+  }
+
+  /**
+   * Remembers a variable's current value, eg at the end of a drag.
+   * @param {InstructionRunner} runner
+   * @param {string} name
+   */
+  record(runner, name) {
+    const entry = runner?.variables[name];
+    if (!entry || typeof entry.value?.clone !== "function") return;
+    const origin = entry.properties?.origin;
+    this.#saved.set(name, {
+      definition: definitionOf(runner, name),
+      value: entry.value.clone(),
+      // A bound origin (origin: b) follows b instead
+      origin: origin && hasFreeOrigin(entry) ? origin.clone() : null
+    });
+  }
+
+  /**
+   * Puts the remembered values into a new runner, re-evaluating everything
+   * that depends on them. Variables that are gone, or whose definitions
+   * changed, are forgotten: the script's value wins.
+   * @param {InstructionRunner} runner
+   * @returns {string[]} The names restored.
+   */
+  apply(runner) {
+    if (!runner) return [];
+    const restored = [];
+
+    for (const [name, saved] of this.#saved) {
+      const entry = runner.variables[name];
+      if (!entry || definitionOf(runner, name) !== saved.definition) this.#saved.delete(name);
+    }
+
+    // In evaluation order, so a restored value isn't overwritten by re-evaluating one it depends on
+    for (const name of runner.order.filter(n => this.#saved.has(n))) {
+      const entry = runner.variables[name];
+      const { value, origin } = this.#saved.get(name);
+
+      if (value instanceof Vec2) {
+        entry.value.resetToVector(value);
+      } else if (typeof entry.value?.moveHandle === "function") {
+        value.handles().forEach((handle, i) => entry.value.moveHandle(i, handle));
+      }
+      if (origin) {
+        const properties = entry.properties ?? {};
+        if (properties.origin) properties.origin.resetToVector(origin);
+        else entry.properties = { ...properties, origin: origin.clone() };
+      }
+
+      runner.update(name);
+      restored.push(name);
+    }
+    return restored;
+  }
+
+  /**
+   * Forgets every remembered value, so the next runner shows the script's.
+   */
+  clear() {
+    this.#saved.clear();
+  }
+}
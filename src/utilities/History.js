@@ -0,0 +1,91 @@
+/**
+ * A linear undo/redo timeline of values, eg successive versions of a script.
+ *
+ * Pushes can be merged into the current step: a push with the same `group`
+ * as the one before it, arriving within `mergeWindow` milliseconds, replaces
+ * the present value instead of adding a step. That way a burst of typing
+ * undoes as one edit.
+ */
+export class History {
+  present;
+  limit;
+  mergeWindow;
+
+  #past = [];
+  #future = [];
+  #lastGroup = null;
+  #lastTime = 0;
+
+  /**
+   * @param {*} initial The starting value.
+   * @param {object} [options]
+   * @param {number} [options.limit] Maximum number of undo steps kept.
+   * @param {number} [options.mergeWindow] Milliseconds within which grouped pushes merge.
+   */
+  constructor(initial, { limit = 200, mergeWindow = 1000 } = {}) {
+    this.present = initial;
+    this.limit = limit;
+    this.mergeWindow = mergeWindow;
+  }
+
+  get canUndo() {
+    return this.#past.length > 0;
+  }
+
+  get canRedo() {
+    return this.#future.length > 0;
+  }
+
+  /**
+   * Records a new value. Returns false when it's the same as the present one.
+   * @param {*} value
+   * @param {object} [options]
+   * @param {string} [options.group] Consecutive pushes in the same group merge.
+   * @param {number} [options.time] Timestamp, for testing.
+   * @returns {boolean}
+   */
+  push(value, { group = null, time = Date.now() } = {}) {
+    if (value === this.present) return false;
+
+    const merge = group !== null
+      && group === this.#lastGroup
+      && time - this.#lastTime <= this.mergeWindow
+      && this.#past.length > 0;
+
+    if (!merge) {
+      this.#past.push(this.present);
+      if (this.#past.length > this.limit) this.#past.shift();
+    }
+    this.present = value;
+    this.#future = [];
+    this.#lastGroup = group;
+    this.#lastTime = time;
+    return true;
+  }
+
+  /**
+   * Starts over from `value`, forgetting every step, eg when opening a shared link.
+   */
+  reset(value) {
+    this.present = value;
+    this.#past = [];
+    this.#future = [];
+    this.#lastGroup = null;
+  }
+
+  undo() {
+    if (!this.canUndo) return this.present;
+    this.#future.push(this.present);
+    this.present = this.#past.pop();
+    this.#lastGroup = null;
+    return this.present;
+  }
+
+  redo() {
+    if (!this.canRedo) return this.present;
+    this.#past.push(this.present);
+    this.present = this.#future.pop();
+    this.#lastGroup = null;
+    return this.present;
+  }
+}
@@ -7,6 +7,8 @@ export class Instruction {
   property;
   value;
   modifiers;
+  // { line, column, length, offset } of the instruction in the script
+  span;
 
   static TYPE = {
     METHOD: 0,
@@ -22,7 +24,8 @@ export class Instruction {
                 property,
                 value,
                 modifiers,
-                line
+                line,
+                span
               }) {
     if(this.types.indexOf(type) === -1) throw new Error(`Type must be one of ${this.types}`);
 
@@ -34,6 +37,7 @@ export class Instruction {
     this.value = value;
     this.modifiers = modifiers;
     this.string = line;
+    this.span = span;
   }
 
   get TYPE() {
@@ -1,47 +1,67 @@
 import { Instruction } from "./Instruction"
+import { Lexer } from "./Lexer"
+import { Diagnostic, ScriptError } from "./Diagnostic"
+import { colorFunctions } from "./colors"
+
+const T = Lexer.TYPE;
+
+// Token types as messages name them, eg "Expected end of line"
+const tokenNames = {
+  [T.NUMBER]: 'a number',
+  [T.IDENTIFIER]: 'a name',
+  [T.STRING]: 'a string',
+  [T.HASH]: 'a colour',
+  [T.OPERATOR]: 'an operator',
+  [T.LPAREN]: "'('",
+  [T.RPAREN]: "')'",
+  [T.COMMA]: "','",
+  [T.DOT]: "'.'",
+  [T.COLON]: "':'",
+  [T.ASSIGN]: "'='",
+  [T.EOF]: 'end of line'
+};
 
 export class InstructionParser {
   commands = [];
   log = [];
   script = '';
 
-  // Variable Method Call: f.rotateBy(10, 5)
-  #rMethod = /^([a-zA-Z_]\w*)\.([a-zA-Z_]\w*)\((.*)\)$/;
-  // Property Modification: f.length = 10
-  #rProperty = /^([a-zA-Z_]\w*)\.([a-zA-Z_]\w*)\s*=\s*(.*)$/;
-  // sAssignment: a = Vec2(1,2), interactive, #CC3344
-  #rAssignment = /^([a-zA-Z_]\w*)\s*=\s*(.*)$/;
-
-  // Function Call: Vec2(1,2)
-  #rExprFunction = /^([a-zA-Z_]\w*)\((.*)\)$/;
-  // Arithmetic Operation: a + b, b - a
-  #rExprOp = /^\s*(.+?)\s*([+\-*/])\s*(.+?)\s*$/;
-  // Variable Method Call in an Expression: e.clone()
-  #rExprMethod = /^([a-zA-Z_]\w*)\.([a-zA-Z_]\w*)\((.*)\)$/;
-  // Variable Property Access in an Expression: e.length
-  #rExprPropAccess = /^([a-zA-Z_]\w*)\.([a-zA-Z_]\w*)$/;
+  #lexer = new Lexer();
+  #source = '';
+  #tokens = [];
+  #position = 0;
+  // Where #source sits in the script: 1-based line, 0-based column and absolute offset
+  #origin = { line: 1, column: 0, offset: 0 };
+  // When true, `4 -4` is read as two values rather than a subtraction (modifier values)
+  #valueList = false;
 
   constructor() {}
 
   /**
    * Parses and returns the entire script as a structured command array.
+   * `log` holds a Diagnostic for every line that failed to parse.
    * @param {string} script The input script string.
    */
   parse(script) {
     this.script = script;
     this.commands = [];
     this.log = [];
-    const lines = script
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => line && !line.startsWith('//'));
 
-    lines.forEach((line, i) => {
+    let offset = 0;
+    script.split('\n').forEach((rawLine, i) => {
+      const lineOffset = offset;
+      offset += rawLine.length + 1;
+
+      const line = rawLine.trim();
+      if (!line || line.startsWith('//')) return;
+
+      const column = rawLine.indexOf(line);
+      const origin = { line: i + 1, column, offset: lineOffset + column };
       try {
-        const command = this.parseLine(line);
+        const command = this.parseLine(line, origin);
         if(command) this.commands.push(command);
       } catch (e) {
-        this.log.push(`Line ${i+1}: \`${line}\` failed. Error: ${e.message}`);
+        this.log.push(Diagnostic.fromError(e, this.#spanAt(0, line.length, origin)));
       }
     })
     return { commands: this.commands, log: this.log };
@@ -51,194 +71,348 @@ export class InstructionParser {
   /**
    * Processes a single instruction line and returns a structured command object.
    * @param {string} line
+   * @param {object} [origin] Where the line sits in the script: { line, column, offset }.
    * @returns {object} Structured command object.
    */
-  parseLine(line) {
-    // Method call - must be checked before property modification
-    let match = line.match(this.#rMethod);
-    if(match) {
-      const type = Instruction.TYPE.METHOD
-      const [ _, variable, method, argStr ] = match.map(v => v.trim());
-
-      const args = argStr.split(/,\s*/).map(a => this.parseValue(a.trim())).filter(a => a);
+  parseLine(line, origin) {
+    this.#begin(line, origin);
+
+    // Method call - eg f.rotateBy(10, 5)
+    if(this.#peek().is(T.IDENTIFIER) && this.#peek(1).is(T.DOT) && this.#peek(2).is(T.IDENTIFIER) && this.#peek(3).is(T.LPAREN)) {
+      const type = Instruction.TYPE.METHOD;
+      const variable = this.#next().value;
+      this.#next();
+      const method = this.#next().value;
+      const args = this.#parseArguments();
+      this.#expect(T.EOF);
 
       return new Instruction({
-        type, variable, method, args, line
+        type, variable, method, args, line, span: this.#span(this.#tokens[0])
       });
     }
     // Property Modification - eg f.length = 10
-    match = line.match(this.#rProperty);
-    if(match) {
+    if(this.#peek().is(T.IDENTIFIER) && this.#peek(1).is(T.DOT) && this.#peek(2).is(T.IDENTIFIER) && this.#peek(3).is(T.ASSIGN)) {
       const type = Instruction.TYPE.PROPERTY;
-      const [_, variable, property, valueStr] = match.map(v => v.trim());
-      const value = this.parseValue(valueStr);
+      const variable = this.#next().value;
+      this.#next();
+      const property = this.#next().value;
+      this.#next();
+      const value = this.#parseExpression();
+      this.#expect(T.EOF);
 
       return new Instruction({
-        type, variable, property, value, line
+        type, variable, property, value, line, span: this.#span(this.#tokens[0])
       })
     }
     // Assignment - eg a = Vec2(1,2), interactive, #CC3344
-    match = line.match(this.#rAssignment);
-    if(match) {
+    if(this.#peek().is(T.IDENTIFIER) && this.#peek(1).is(T.ASSIGN)) {
       const type = Instruction.TYPE.ASSIGNMENT;
-      const [_, variable, definitionStr] = match;
-
-      const { mainExpression, modifiersStr } = this.splitExpression(definitionStr)
-
-      const value = this.parseExpression(mainExpression);
-      const modifiers = this.parseModifiers(modifiersStr)
+      const variable = this.#next().value;
+      this.#next();
+      const value = this.#parseExpression();
+      const modifiers = this.#parseModifierList();
+      this.#expect(T.EOF);
 
       return new Instruction({
-        type, variable, value, modifiers, line
+        type, variable, value, modifiers, line, span: this.#span(this.#tokens[0])
       });
     }
+
+    throw new ScriptError(`Unrecognised instruction`, {
+      code: Diagnostic.CODE.UNRECOGNISED_INSTRUCTION,
+      span: this.#span(this.#tokens[0], this.#tokens[this.#tokens.length - 1])
+    });
   }
 
   /**
-   * Separates the main expression from modifiers, respecting parentheses depth.
+   * Parses comma-separated modifiers, checking for key: val and function() syntax.
+   * @param {string} modifiersStr eg `interactive, #CC3344, origin: 4 4`
+   * @returns {Array<object>}
    */
-  splitExpression(definitionStr) {
-    let bracketDepth = 0;
-    let mainExpressionEndIndex = definitionStr.length;
-
-    for (let i = 0; i < definitionStr.length; i++) {
-      const char = definitionStr[i];
-      if (char === '(') {
-        bracketDepth++;
-      } else if (char === ')') {
-        bracketDepth--;
-      } else if (char === ',' && bracketDepth === 0) {
-        mainExpressionEndIndex = i;
-        break; // Found the separation comma
-      }
-    }
-
-    const mainExpression = definitionStr.substring(0, mainExpressionEndIndex).trim();
-    const modifiersStr = (mainExpressionEndIndex < definitionStr.length)
-      ? definitionStr.substring(mainExpressionEndIndex + 1).trim()
-      : '';
+  parseModifiers(modifiersStr) {
+    if (!modifiersStr || !modifiersStr.trim()) return [];
 
-    return { mainExpression, modifiersStr };
+    // The leading comma lets the list parser run as it does after an assignment
+    this.#begin(`,${modifiersStr}`, { line: 1, column: -1, offset: -1 });
+    const modifiers = this.#parseModifierList();
+    this.#expect(T.EOF);
+    return modifiers;
   }
 
   /**
-   * Parses comma-separated modifiers, checking for key: val and function() syntax.
+   * Parses the core expression (FunctionCall, Operation, or VariableReference).
+   * Every node carries a `span` locating it in the source.
+   * @param {string} expression
+   * @returns {object} The expression node.
    */
-  parseModifiers(modifiersStr) {
-    if (!modifiersStr) return [];
-
-    // Use the same splitting logic as the main assignment line for safety
-    const modifierTokens = modifiersStr.split(/,\s*/).filter(m => m.length > 0);
+  parseExpression(expression) {
+    this.#begin(expression);
+    const node = this.#parseExpression();
+    this.#expect(T.EOF);
+    return node;
+  }
 
-    return modifierTokens.map(token => {
-      token = token.trim();
+  #begin(source, origin = { line: 1, column: 0, offset: 0 }) {
+    this.#source = source;
+    this.#origin = origin;
+    this.#position = 0;
+    this.#valueList = false;
+    try {
+      this.#tokens = this.#lexer.tokenize(source);
+    } catch (e) {
+      // Lexer spans are relative to the line
+      if (e.span) e.span = this.#spanAt(e.span.offset, e.span.offset + e.span.length);
+      throw e;
+    }
+  }
 
-      // 1. Check for key: value syntax (e.g., origin: 5 5)
-      const colonMatch = token.match(/^([a-zA-Z_]\w*)\s*:\s*(.*)$/);
-      if (colonMatch) {
-        const key = colonMatch[1];
-        const valuesStr = colonMatch[2].trim();
+  /**
+   * Converts start/end offsets within the current line to a script span.
+   */
+  #spanAt(start, end, origin = this.#origin) {
+    return {
+      line: origin.line,
+      column: origin.column + start + 1,
+      offset: origin.offset + start,
+      length: end - start
+    };
+  }
 
-        // Split space-separated values (e.g., "5 5")
-        const args = valuesStr.split(/\s+/).map(v => this.parseValue(v));
+  /**
+   * The span covering `from` up to `to` (default: the last consumed token).
+   */
+  #span(from, to = this.#tokens[Math.max(this.#position - 1, 0)]) {
+    return this.#spanAt(from.start, Math.max(to.end, from.end));
+  }
 
-        return {
-          type: 'PropertyFunction',
-          name: key,
-          args: args
-        };
-      }
+  #peek(offset = 0) {
+    return this.#tokens[Math.min(this.#position + offset, this.#tokens.length - 1)];
+  }
 
-      // 2. Function Modifier (e.g., origin(5,5)) - Existing functional modifier support
-      const funcMatch = token.match(/^([a-zA-Z_]\w*)\((.*)\)$/);
-      if (funcMatch) {
-        // Re-use parseExpression to generate the Function object structure
-        const funcNode = this.parseExpression(token);
-        // Convert the Function type to PropertyFunction, as it's used as a modifier
-        if (funcNode.type === 'Function') {
-          funcNode.type = 'PropertyFunction';
-        }
-        return funcNode;
-      }
+  #next() {
+    const token = this.#peek();
+    if (!token.is(T.EOF)) this.#position++;
+    return token;
+  }
 
-      // 3. Simple tag or color (e.g., interactive, #CC3344)
-      return { type: 'Property', value: token };
-    });
+  #expect(type, value) {
+    const token = this.#peek();
+    if (!token.is(type, value)) {
+      const expected = value !== undefined ? `'${value}'` : tokenNames[type] ?? type;
+      throw new ScriptError(`Expected ${expected} but found ${this.#describe(token)}`, {
+        code: Diagnostic.CODE.UNEXPECTED_TOKEN,
+        span: this.#span(token, token)
+      });
+    }
+    return this.#next();
   }
 
   /**
-   * Parses the core expression (FunctionCall, Operation, or VariableReference).
+   * Parses `, modifier, modifier ...` up to the end of the line.
    */
-  parseExpression(expression) {
-    expression = expression.trim();
+  #parseModifierList() {
+    const modifiers = [];
+    while (this.#peek().is(T.COMMA)) {
+      this.#next();
+      if (this.#peek().is(T.COMMA) || this.#peek().is(T.EOF)) continue;
+      modifiers.push(this.#parseModifier());
+    }
+    return modifiers;
+  }
 
-    // 1. Function Call: Vec2(1,2) or origin(5,5)
-    let match = expression.match(this.#rExprFunction);
-    if (match) {
-      let [_, name, argsStr] = match;
-      // Arguments are split by comma, respecting spaces
-      argsStr = argsStr.split(/,\s*/).map(a => a.trim()).filter(a => a.length > 0);
+  #parseModifier() {
+    const token = this.#peek();
+
+    // 1. key: value syntax (e.g., origin: 5 5, origin: a + b)
+    if (token.is(T.IDENTIFIER) && this.#peek(1).is(T.COLON)) {
+      this.#next();
+      this.#next();
+      const args = [];
+      this.#valueList = true;
+      do {
+        args.push(this.#parseExpression());
+      } while (!this.#peek().is(T.COMMA) && !this.#peek().is(T.EOF));
+      this.#valueList = false;
 
       return {
-        type: 'Function',
-        name: name,
-        args: argsStr.map(arg => this.parseValue(arg))
+        type: 'PropertyFunction',
+        name: token.value,
+        args,
+        span: this.#span(token)
       };
     }
 
-    // 2. Arithmetic Operation: a + b, b - a
-    match = expression.match(this.#rExprOp);
-    if (match) {
-      const [ _, leftStr, operator, rightStr ] = match.map(v => v.trim());
+    // 2. Function Modifier (e.g., origin(5,5)); colours like rgb(0 103 199 / 50%) fall through to 3
+    if (token.is(T.IDENTIFIER) && this.#peek(1).is(T.LPAREN) && this.#isModifierEnd(this.#matchingParen(1) + 1)
+      && !colorFunctions.includes(token.value.toLowerCase())) {
+      this.#next();
+      const args = this.#parseArguments();
       return {
-        type: 'Operation',
-        operator,
-        left: this.parseExpression(leftStr),
-        right: this.parseExpression(rightStr)
+        type: 'PropertyFunction',
+        name: token.value,
+        args,
+        span: this.#span(token)
       };
     }
 
-    // Variable Method Call (e.g., g = e.clone())
-    match = expression.match(this.#rExprMethod);
-    if (match) {
-      const [_, variable, method, argsStr] = match;
-      const args = argsStr.split(/,\s*/).map(a => this.parseValue(a.trim())).filter(a => a);
+    // 3. Simple tag or color (e.g., interactive, #CC3344, tomato, hsl(210, 100%, 39%)) - kept as its source text
+    let depth = 0;
+    let last = token;
+    while (!this.#peek().is(T.EOF) && !(depth === 0 && this.#peek().is(T.COMMA))) {
+      if (this.#peek().is(T.LPAREN)) depth++;
+      if (this.#peek().is(T.RPAREN)) depth--;
+      last = this.#next();
+    }
+    return { type: 'Property', value: this.#source.slice(token.start, last.end), span: this.#span(token, last) };
+  }
+
+  #matchingParen(offset) {
+    let depth = 0;
+    for (let i = offset; this.#position + i < this.#tokens.length; i++) {
+      const token = this.#peek(i);
+      if (token.is(T.LPAREN)) depth++;
+      if (token.is(T.RPAREN) && --depth === 0) return i;
+    }
+    return this.#tokens.length;
+  }
 
-      return {
-        type: 'VariableMethodCall',
-        variable: variable,
-        method: method,
-        args: args
-      };
+  #isModifierEnd(offset) {
+    const token = this.#peek(offset);
+    return token.is(T.COMMA) || token.is(T.EOF);
+  }
+
+  /**
+   * Parses `( expression, expression ... )`.
+   */
+  #parseArguments() {
+    this.#expect(T.LPAREN);
+    const args = [];
+    // Arguments are always full expressions, even inside a modifier value list
+    const valueList = this.#valueList;
+    this.#valueList = false;
+    if (!this.#peek().is(T.RPAREN)) {
+      args.push(this.#parseExpression());
+      while (this.#peek().is(T.COMMA)) {
+        this.#next();
+        args.push(this.#parseExpression());
+      }
     }
+    this.#valueList = valueList;
+    this.#expect(T.RPAREN);
+    return args;
+  }
 
-    // Variable Property Access (e.g., h = e.length)
-    match = expression.match(this.#rExprPropAccess);
-    if (match) {
-      const [_, variable, property] = match;
-      return {
-        type: 'VariablePropertyAccess',
-        variable: variable,
-        property: property
-      };
+  #parseExpression() {
+    return this.#parseAdditive();
+  }
+
+  // a + b, a - b
+  #parseAdditive() {
+    const start = this.#peek();
+    let left = this.#parseMultiplicative();
+    while (this.#peek().is(T.OPERATOR, '+') || this.#peek().is(T.OPERATOR, '-')) {
+      if (this.#valueList && this.#isSignedValue()) break;
+      const operator = this.#next().value;
+      const right = this.#parseMultiplicative();
+      left = { type: 'Operation', operator, left, right, span: this.#span(start) };
     }
+    return left;
+  }
 
-    // 3. Simple Value (Variable Reference, Number, or String)
-    return this.parseValue(expression);
+  // a * b, a / b
+  #parseMultiplicative() {
+    const start = this.#peek();
+    let left = this.#parseUnary();
+    while (this.#peek().is(T.OPERATOR, '*') || this.#peek().is(T.OPERATOR, '/')) {
+      const operator = this.#next().value;
+      const right = this.#parseUnary();
+      left = { type: 'Operation', operator, left, right, span: this.#span(start) };
+    }
+    return left;
   }
+
+  // -a, +a
+  #parseUnary() {
+    if (this.#peek().is(T.OPERATOR, '-') || this.#peek().is(T.OPERATOR, '+')) {
+      const start = this.#next();
+      const operator = start.value;
+      const argument = this.#parseUnary();
+      const span = this.#span(start);
+      // Fold signed literals so `Vec2(-2, 10)` still yields plain numbers
+      if (argument.type === 'Literal' && typeof argument.value === 'number') {
+        return { type: 'Literal', value: operator === '-' ? -argument.value : argument.value, span };
+      }
+      if (operator === '+') return argument;
+      return { type: 'UnaryOperation', operator, argument, span };
+    }
+    return this.#parsePostfix();
+  }
+
+  // e.length, e.clone(), Vec2(1, 2).length
+  #parsePostfix() {
+    const start = this.#peek();
+    let node = this.#parsePrimary();
+    while (this.#peek().is(T.DOT)) {
+      this.#next();
+      const name = this.#expect(T.IDENTIFIER).value;
+      const target = node?.type === 'VariableReference'
+        ? { variable: node.name }
+        : { object: node };
+
+      if (this.#peek().is(T.LPAREN)) {
+        const args = this.#parseArguments();
+        node = { type: 'VariableMethodCall', ...target, method: name, args, span: this.#span(start) };
+      } else {
+        node = { type: 'VariablePropertyAccess', ...target, property: name, span: this.#span(start) };
+      }
+    }
+    return node;
+  }
+
+  #parsePrimary() {
+    const token = this.#peek();
+
+    if (token.is(T.NUMBER) || token.is(T.STRING)) {
+      this.#next();
+      return { type: 'Literal', value: token.value, span: this.#span(token) };
+    }
+    if (token.is(T.IDENTIFIER)) {
+      this.#next();
+      // Function Call: Vec2(1,2)
+      if (this.#peek().is(T.LPAREN)) {
+        const args = this.#parseArguments();
+        return { type: 'Function', name: token.value, args, span: this.#span(token) };
+      }
+      return { type: 'VariableReference', name: token.value, span: this.#span(token) };
+    }
+    if (token.is(T.LPAREN)) {
+      this.#next();
+      const valueList = this.#valueList;
+      this.#valueList = false;
+      const node = this.#parseExpression();
+      this.#valueList = valueList;
+      this.#expect(T.RPAREN);
+      return node;
+    }
+
+    throw new ScriptError(`Unexpected ${this.#describe(token)}`, {
+      code: Diagnostic.CODE.UNEXPECTED_TOKEN,
+      span: this.#span(token, token)
+    });
+  }
+
+  #describe(token) {
+    return token.is(T.EOF) ? 'end of line' : `'${this.#source.slice(token.start, token.end)}'`;
+  }
+
   /**
-   * Parses a single token (VariableReference, Number, or String).
+   * In a space-separated value list a sign that hugs the following token but
+   * not the preceding one starts a new value: `origin: 4 -4`.
    */
-  parseValue(valueStr, returnRefs = true) {
-    // Check if it's a number
-    const num = parseFloat(valueStr);
-    // check if it's a variable reference
-    if(valueStr.match(/^[a-zA-Z_]\w*$/)) {
-      // check if it's a number string that was parsed as a variabvle name
-      if(!isNaN(num) && String(num) === valueStr) return num;
-      else if(returnRefs) return { type: "VariableReference", name: valueStr };
-    }
-    if(!isNaN(num)) return num;
-    return valueStr;
-  }
-}
\ No newline at end of file
+  #isSignedValue() {
+    const previous = this.#tokens[this.#position - 1];
+    const sign = this.#peek();
+    const next = this.#peek(1);
+    return previous.end < sign.start && sign.end === next.start;
+  }
+}
@@ -1,59 +1,338 @@
-import { Vec2 } from "wtc-math";
+import { Vec2, Mat2 } from "wtc-math";
 import { InstructionParser } from "./InstructionParser";
 import { Instruction } from "./Instruction";
+import { Diagnostic, ScriptError } from "./Diagnostic";
+import { functions, constants, matrixOperation } from "./builtins";
+import { isColor } from "./colors";
+import { Segment, Line, Circle } from "./primitives";
+
+// Modifiers that take one of a few words, and the words they take
+const keywordProperties = {
+  labelPosition: ['middle', 'tip', 'tail'],
+  head: ['filled', 'open', 'double', 'none'],
+  axis: ['x', 'y']
+};
+
+// Modifiers that switch a style, drag constraint or snap on (or off) by being present
+const flags = ['dashed', 'hidden', 'noOriginDot', 'lockLength', 'lockAngle', 'magnetic', 'noSnap'];
+
+// Snaps set per variable, overriding the canvas' own: snap: 0.5, snapAngle: 15, snapLength: 1
+const snapProperties = { snap: 'a grid step', snapAngle: 'an angle in degrees', snapLength: 'a length' };
+
+// Paths a drag can be kept on, as written in `on: circle(c, r)`
+const pathFunctions = { circle: 'Circle', line: 'Line', segment: 'Segment' };
 
 export class InstructionRunner {
   commands;
   variables = {};
+  // Parser diagnostics handed to `run`
+  log = [];
+  // Diagnostics raised while running the instructions
   errors = [];
+  // Non-fatal problems, such as unrecognised modifiers
+  warnings = [];
+
+  // Dependency graph, keyed by variable name
+  definitions = new Map(); // name -> { instruction, mutations }
+  dependencies = new Map(); // name -> Set of names it reads
+  dependents = new Map(); // name -> Set of names that read it
+  order = []; // names in evaluation (topological) order
+
+  // Variables that failed to evaluate, so their dependents are skipped
+  #failed = new Set();
+  // Which variable each diagnostic was raised for, so re-evaluating it can clear them
+  #owners = new Map();
+  #owner = null;
 
   static parse({ commands }) {
     const p = new InstructionParser();
     const i = p.parse(commands);
     const r = new InstructionRunner();
-    r.run({ commands: i.commands });
+    r.run({ commands: i.commands, log: i.log });
     return r;
   }
 
   constructor() {}
 
-  run({ commands }) {
+  /**
+   * Every parser and runtime diagnostic, in source order.
+   * @returns {Diagnostic[]}
+   */
+  get diagnostics() {
+    return [...this.log, ...this.errors, ...this.warnings].sort((a, b) => a.offset - b.offset);
+  }
+
+  /**
+   * Builds the dependency graph for the instructions and evaluates every variable.
+   *
+   * Variables behave like spreadsheet cells: each is defined by one assignment
+   * plus any method calls or property modifications made on it, and may read
+   * any other variable regardless of where it appears in the script.
+   * Problems are collected in `diagnostics` rather than logged, so hosts
+   * such as the CLI decide how to show them.
+   */
+  run({ commands, log = [] }) {
     this.commands = commands;
     this.variables = {};
+    this.log = log;
     this.errors = [];
-    this.derivedVectors = new Map(); // Track vectors derived from operations
+    this.warnings = [];
+    this.#failed = new Set();
+    this.#owners = new Map();
+
+    this.buildGraph();
+    this.order.forEach(name => this.evaluateVariable(name));
+  }
+
+  /**
+   * Re-evaluates every variable that depends, directly or not, on the given
+   * ones, in topological order. Call it after changing a variable's value in
+   * place, eg while dragging it.
+   * @param {...string} names The variables that changed.
+   */
+  update(...names) {
+    const stale = new Set();
+    const visit = (name) => {
+      for (const dependent of this.dependents.get(name) ?? []) {
+        if (stale.has(dependent)) continue;
+        stale.add(dependent);
+        visit(dependent);
+      }
+    };
+    names.forEach(visit);
+    // Changed values are inputs now - don't overwrite them
+    names.forEach(name => stale.delete(name));
+
+    this.order
+      .filter(name => stale.has(name))
+      .forEach(name => {
+        this.#failed.delete(name);
+        this.evaluateVariable(name);
+      });
+  }
+
+  /**
+   * Collects each variable's definition and the variables it reads, then
+   * orders them so every variable comes after its dependencies. Variables
+   * that take part in a cycle are reported and left out of the order.
+   */
+  buildGraph() {
+    this.definitions = new Map();
+    this.dependencies = new Map();
+    this.dependents = new Map();
+    this.order = [];
 
     this.commands.forEach(instruction => {
+      const name = instruction.variable;
       try {
         switch (instruction.type) {
-          case Instruction.TYPE.ASSIGNMENT: { // Used curly braces for block-scoping
-            const value = this.evaluateExpression(instruction.value);
-            const properties = this.parseProperties(instruction.modifiers);
-            this.variables[instruction.variable] = {
-              value,
-              properties,
-              instruction
-            };
+          case Instruction.TYPE.ASSIGNMENT: {
+            if (this.definitions.get(name)?.instruction) {
+              throw new ScriptError(`Variable '${name}' is already defined.`, { code: Diagnostic.CODE.DUPLICATE_DEFINITION });
+            }
+            const definition = this.definitions.get(name) ?? { mutations: [] };
+            definition.instruction = instruction;
+            this.definitions.set(name, definition);
+            this.#addDependencies(name, this.#references(instruction));
             break;
           }
           case Instruction.TYPE.PROPERTY:
-            this.executePropertyModification(instruction);
-            break;
-          case Instruction.TYPE.METHOD:
-            this.executeMethodCall(instruction);
+          case Instruction.TYPE.METHOD: {
+            if (!this.definitions.has(name)) this.definitions.set(name, { mutations: [] });
+            this.definitions.get(name).mutations.push(instruction);
+            this.#addDependencies(name, this.#references(instruction));
             break;
+          }
           default:
-            throw new Error('Unrecognised instruction type.');
+            throw new ScriptError('Unrecognised instruction type.', { code: Diagnostic.CODE.UNRECOGNISED_INSTRUCTION });
         }
       } catch (e) {
-        this.errors.push(`Error: ${instruction.string} - ${e.message}`);
+        this.errors.push(Diagnostic.fromError(e, instruction.span));
+      }
+    });
+
+    // Depth-first topological sort, visiting variables in script order
+    const state = new Map(); // name -> 'visiting' | 'done'
+    const stack = [];
+    const visit = (name) => {
+      if (state.get(name) === 'done') return;
+      if (state.get(name) === 'visiting') {
+        const cycle = [...stack.slice(stack.indexOf(name)), name];
+        cycle.slice(0, -1).forEach(member => {
+          if (this.#failed.has(member)) return;
+          this.#failed.add(member);
+          this.errors.push(new Diagnostic({
+            code: Diagnostic.CODE.CIRCULAR_DEPENDENCY,
+            message: `Circular dependency: ${cycle.join(' → ')}`,
+            span: this.definitions.get(member)?.instruction?.span
+          }));
+        });
+        return;
+      }
+      state.set(name, 'visiting');
+      stack.push(name);
+      for (const dependency of this.dependencies.get(name) ?? []) {
+        if (this.definitions.has(dependency)) visit(dependency);
+      }
+      stack.pop();
+      state.set(name, 'done');
+      if (!this.#failed.has(name)) this.order.push(name);
+    };
+    this.definitions.forEach((_, name) => visit(name));
+
+    // Mutations apply before anything reads the variable, so a line reading it
+    // above a mutation gets the mutated value, unlike in top-to-bottom code
+    this.commands.forEach(instruction => {
+      for (const reference of this.#references(instruction)) {
+        const later = this.definitions.get(reference)?.mutations
+          .find(mutation => mutation.span?.offset > instruction.span?.offset);
+        if (!later) continue;
+        this.warn(
+          `'${reference}' is changed later, on line ${later.span.line}, and that change applies here too`,
+          instruction.span,
+          Diagnostic.CODE.READ_BEFORE_CHANGE
+        );
       }
     });
-    if (this.errors.length > 0) {
-      console.warn("Errors occurred during script execution:", this.errors);
+  }
+
+  /**
+   * The variables an instruction reads: an assignment's value and modifiers,
+   * or a method call's arguments or property change's value.
+   * @param {Instruction} instruction
+   * @returns {Set<string>}
+   */
+  #references(instruction) {
+    const references = new Set();
+    if (instruction.type === Instruction.TYPE.ASSIGNMENT) {
+      this.collectReferences(instruction.value, references);
+      // Keywords aren't variables, and `annotate: a` only says where to draw
+      instruction.modifiers
+        ?.filter(modifier => !(modifier.name in keywordProperties) && modifier.name !== 'annotate')
+        .forEach(modifier => modifier.args?.forEach(arg => this.collectReferences(arg, references)));
+    } else {
+      (instruction.args ?? [instruction.value]).forEach(arg => this.collectReferences(arg, references));
+      // A mutation may read the variable it modifies
+      references.delete(instruction.variable);
+    }
+    return references;
+  }
+
+  /**
+   * Adds the names of every variable an expression reads to `references`.
+   * @param {object} node - The expression node from the parser.
+   * @param {Set<string>} references
+   */
+  collectReferences(node, references) {
+    if (typeof node !== 'object' || node === null) return;
+
+    switch (node.type) {
+      case "VariableReference":
+        references.add(node.name);
+        break;
+      case "Function":
+        node.args.forEach(arg => this.collectReferences(arg, references));
+        break;
+      case "Operation":
+        this.collectReferences(node.left, references);
+        this.collectReferences(node.right, references);
+        break;
+      case "UnaryOperation":
+        this.collectReferences(node.argument, references);
+        break;
+      case "VariableMethodCall":
+      case "VariablePropertyAccess":
+        if (node.variable) references.add(node.variable);
+        this.collectReferences(node.object, references);
+        node.args?.forEach(arg => this.collectReferences(arg, references));
+        break;
     }
   }
 
+  #addDependencies(name, references) {
+    if (!this.dependencies.has(name)) this.dependencies.set(name, new Set());
+    references.forEach(reference => {
+      this.dependencies.get(name).add(reference);
+      if (!this.dependents.has(reference)) this.dependents.set(reference, new Set());
+      this.dependents.get(reference).add(name);
+    });
+  }
+
+  /**
+   * Evaluates one variable's assignment, modifiers and mutations, replacing
+   * its entry in `variables` and any diagnostics previously raised for it.
+   * @param {string} name
+   */
+  evaluateVariable(name) {
+    const { instruction, mutations } = this.definitions.get(name);
+    this.#clearDiagnostics(name);
+    this.#owner = name;
+
+    try {
+      if (!instruction) {
+        throw new ScriptError(`Variable '${name}' is not defined.`, {
+          code: Diagnostic.CODE.UNDEFINED_VARIABLE,
+          span: mutations[0].span
+        });
+      }
+      // Skip variables whose inputs failed - the root cause is already reported
+      for (const dependency of this.dependencies.get(name)) {
+        if (this.#failed.has(dependency)) {
+          this.#failed.add(name);
+          delete this.variables[name];
+          return;
+        }
+      }
+
+      let value;
+      try {
+        // Own the result, so mutations never reach the variable it was read from
+        value = this.#own(this.evaluateExpression(instruction.value));
+        const properties = this.parseProperties(instruction.modifiers);
+        this.variables[name] = {
+          value,
+          properties,
+          instruction
+        };
+      } catch (e) {
+        this.#failed.add(name);
+        delete this.variables[name];
+        this.#report(this.errors, Diagnostic.fromError(e, instruction.span));
+        return;
+      }
+
+      mutations.forEach(mutation => {
+        try {
+          if (mutation.type === Instruction.TYPE.PROPERTY) this.executePropertyModification(mutation);
+          else this.executeMethodCall(mutation);
+        } catch (e) {
+          this.#report(this.errors, Diagnostic.fromError(e, mutation.span));
+        }
+      });
+    } catch (e) {
+      this.#failed.add(name);
+      this.#report(this.errors, Diagnostic.fromError(e, instruction?.span));
+    } finally {
+      this.#owner = null;
+    }
+  }
+
+  #own(value) {
+    return typeof value?.clone === 'function' ? value.clone() : value;
+  }
+
+  #report(list, diagnostic) {
+    list.push(diagnostic);
+    if (this.#owner) this.#owners.set(diagnostic, this.#owner);
+  }
+
+  #clearDiagnostics(name) {
+    const owned = d => this.#owners.get(d) === name;
+    if (!this.errors.some(owned) && !this.warnings.some(owned)) return;
+    this.errors = this.errors.filter(d => !owned(d));
+    this.warnings = this.warnings.filter(d => !owned(d));
+  }
+
   /**
    * Parses the raw properties array from an instruction into a structured object.
    * @param {Array<object>} propertiesArray - The array of property nodes.
@@ -70,23 +349,101 @@ export class InstructionRunner {
           if (prop.name === 'origin') {
             const resolvedArgs = prop.args.map(arg => this.evaluateExpression(arg));
 
-            // Check if we have exactly one argument and it's a Vec2 (referenced by variable)
+            // A single vector argument (eg origin: b, origin: a + b) is used as is
             if (resolvedArgs.length === 1 && resolvedArgs[0] instanceof Vec2) {
-              acc.origin = resolvedArgs[0]; // Use the vector reference directly
+              acc.origin = resolvedArgs[0];
             } else {
               // Otherwise create a new Vec2 from the numeric arguments
               acc.origin = new Vec2(...resolvedArgs);
             }
+          }
+          // Number of decimals a scalar is shown with: precision: 3
+          else if (prop.name === 'precision') {
+            const precision = this.evaluateExpression(prop.args[0]);
+            if (!Number.isInteger(precision) || precision < 0 || precision > 20) {
+              this.warn(`precision expects a whole number from 0 to 20`, prop.span, Diagnostic.CODE.INVALID_ARGUMENT);
+            } else {
+              acc.precision = precision;
+            }
+          }
+          // Show a scalar on the canvas next to a vector's tip: annotate: a
+          else if (prop.name === 'annotate') {
+            const target = prop.args[0];
+            if (prop.args.length !== 1 || target?.type !== 'VariableReference') {
+              this.warn(`annotate expects the name of a vector`, prop.span, Diagnostic.CODE.INVALID_ARGUMENT);
+            } else {
+              acc.annotate = target.name;
+            }
+          }
+          // Stroke width in pixels: width: 3
+          else if (prop.name === 'width') {
+            const width = this.evaluateExpression(prop.args[0]);
+            if (prop.args.length !== 1 || typeof width !== 'number' || !(width > 0)) {
+              this.warn(`width expects a positive number`, prop.span, Diagnostic.CODE.INVALID_ARGUMENT);
+            } else {
+              acc.width = width;
+            }
+          }
+          // opacity: 0.5
+          else if (prop.name === 'opacity') {
+            const opacity = this.evaluateExpression(prop.args[0]);
+            if (prop.args.length !== 1 || typeof opacity !== 'number' || !(opacity >= 0 && opacity <= 1)) {
+              this.warn(`opacity expects a number from 0 to 1`, prop.span, Diagnostic.CODE.INVALID_ARGUMENT);
+            } else {
+              acc.opacity = opacity;
+            }
+          }
+          // Text shown instead of the variable's name: label: "v₁"
+          else if (prop.name === 'label') {
+            const label = prop.args.length === 1 ? this.evaluateExpression(prop.args[0]) : undefined;
+            if (typeof label !== 'string' && typeof label !== 'number') {
+              this.warn(`label expects a string, eg label: "v₁"`, prop.span, Diagnostic.CODE.INVALID_ARGUMENT);
+            } else {
+              acc.label = String(label);
+            }
+          }
+          // 0 switches the snap off for this variable
+          else if (prop.name in snapProperties) {
+            const value = this.evaluateExpression(prop.args[0]);
+            if (prop.args.length !== 1 || typeof value !== 'number' || !(value >= 0)) {
+              this.warn(`${prop.name} expects ${snapProperties[prop.name]}, or 0 for none`, prop.span, Diagnostic.CODE.INVALID_ARGUMENT);
+            } else {
+              acc[prop.name] = value;
+            }
+          }
+          // Keep drags on a path: on: circle(c, r), on: line(p, d), on: segment(a, b) or on: someCircle
+          else if (prop.name === 'on') {
+            const [arg] = prop.args;
+            const shape = arg?.type === 'Function' ? pathFunctions[arg.name.toLowerCase()] : null;
+            const path = prop.args.length === 1 ? this.evaluateExpression(shape ? { ...arg, name: shape } : arg) : null;
+            if (!(path instanceof Circle || path instanceof Line || path instanceof Segment)) {
+              this.warn(`on expects a circle, line or segment, eg on: circle(c, r)`, prop.span, Diagnostic.CODE.INVALID_ARGUMENT);
+            } else {
+              acc.on = path;
+            }
+          }
+          // Keyword modifiers: labelPosition: tip, head: open, axis: x
+          else if (prop.name in keywordProperties) {
+            const allowed = keywordProperties[prop.name];
+            const keyword = prop.args.length === 1 && prop.args[0].type === 'VariableReference' ? prop.args[0].name : null;
+            if (!allowed.includes(keyword)) {
+              this.warn(`${prop.name} expects one of ${allowed.join(', ')}`, prop.span, Diagnostic.CODE.INVALID_ARGUMENT);
+            } else {
+              acc[prop.name] = keyword;
+            }
           } else {
-            throw new Error(`Unrecognised property function: ${prop.name}`);
+            this.warn(`Unrecognised property function: ${prop.name}`, prop.span);
           }
           break;
 
         case "Property":
-          // Handle hex color codes
-          if (prop.value.startsWith('#')) {
+          // Handle CSS colours: hex (with alpha), named, rgb() and hsl()
+          if (isColor(prop.value)) {
             acc.color = prop.value;
           }
+          else if (prop.value.startsWith('#') || /^(rgb|hsl)a?\(/i.test(prop.value)) {
+            this.warn(`Unrecognised colour: ${prop.value}`, prop.span);
+          }
           // Handle boolean-like flags
           else if (prop.value === 'interactive') {
             acc.interactive = true;
@@ -94,27 +451,51 @@ export class InstructionRunner {
           // Handle reference flag
           else if (prop.value === 'reference') {
             acc.reference = true;
+          }
+          // Draw the grid transformed by this matrix
+          else if (prop.value === 'grid') {
+            acc.grid = true;
+          }
+          // Styling, drag and snap flags: dashed, hidden, noOriginDot, lockLength, lockAngle, magnetic, noSnap
+          else if (flags.includes(prop.value)) {
+            acc[prop.value] = true;
           } else {
-            // You could add more property types or throw an error
-            console.warn(`Unrecognised property value: ${prop.value}`);
+            this.warn(`Unrecognised property value: ${prop.value}`, prop.span);
           }
           break;
         default:
-          throw new Error(`Unrecognised property type: ${prop.type}`);
+          throw new ScriptError(`Unrecognised property type: ${prop.type}`, {
+            code: Diagnostic.CODE.UNKNOWN_MODIFIER,
+            span: prop.span
+          });
       }
       return acc;
     }, {});
   }
 
+  /**
+   * Records a non-fatal problem against part of the script.
+   * @param {string} message
+   * @param {object} span
+   * @param {string} [code]
+   */
+  warn(message, span, code = Diagnostic.CODE.UNKNOWN_MODIFIER) {
+    this.#report(this.warnings, new Diagnostic({
+      severity: Diagnostic.SEVERITY.WARNING,
+      code,
+      message,
+      span
+    }));
+  }
 
   executeMethodCall(instruction) {
     const { variable, method, args } = instruction;
-    const targetObject = this.variables[variable].value;
+    const targetObject = this.variables[variable]?.value;
     if (!targetObject) {
-      throw new Error(`Variable '${variable}' is not defined.`);
+      throw new ScriptError(`Variable '${variable}' is not defined.`, { code: Diagnostic.CODE.UNDEFINED_VARIABLE });
     }
     if (typeof targetObject[method] !== 'function') {
-      throw new Error(`Method '${method}' not found on variable '${variable}'`);
+      throw new ScriptError(`Method '${method}' not found on variable '${variable}'`, { code: Diagnostic.CODE.UNKNOWN_METHOD });
     }
 
     const resolvedArgs = args.map(arg => this.evaluateExpression(arg));
@@ -123,9 +504,9 @@ export class InstructionRunner {
 
   executePropertyModification(instruction) {
     const { variable, property, value } = instruction;
-    const targetObject = this.variables[variable].value;
+    const targetObject = this.variables[variable]?.value;
     if (!targetObject) {
-      throw new Error(`Variable '${variable}' is not defined.`);
+      throw new ScriptError(`Variable '${variable}' is not defined.`, { code: Diagnostic.CODE.UNDEFINED_VARIABLE });
     }
     const resolvedValue = this.evaluateExpression(value);
     targetObject[property] = resolvedValue;
@@ -143,6 +524,8 @@ export class InstructionRunner {
     }
 
     switch (node.type) {
+      case "Literal":
+        return node.value;
       case "Function": {
         const { name, args } = node;
         const resolvedArgs = args.map(arg => this.evaluateExpression(arg));
@@ -150,13 +533,32 @@ export class InstructionRunner {
           case "Vec2":
             return new Vec2(...resolvedArgs);
           default:
-            throw new Error(`Unrecognised function call: ${name}`);
+            if (!functions.hasOwnProperty(name)) {
+              throw new ScriptError(`Unrecognised function call: ${name}`, {
+                code: Diagnostic.CODE.UNKNOWN_FUNCTION,
+                span: node.span
+              });
+            }
+            try {
+              return functions[name](...resolvedArgs);
+            } catch (e) {
+              throw new ScriptError(e.message, { code: e.code, span: node.span });
+            }
         }
       }
       case "Operation": {
         const { operator, left, right } = node;
         const a = this.evaluateExpression(left);
         const b = this.evaluateExpression(right);
+
+        if (a instanceof Mat2 || b instanceof Mat2) {
+          try {
+            return matrixOperation(operator, a, b);
+          } catch (e) {
+            throw new ScriptError(e.message, { code: e.code, span: node.span });
+          }
+        }
+
         const isVecLeft = a instanceof Vec2;
         const isVecRight = b instanceof Vec2;
 
@@ -172,7 +574,7 @@ export class InstructionRunner {
           case "-":
             if (isVecLeft && isVecRight) result = a.subtractNew(b);
             else if (isVecLeft) result = a.subtractScalarNew(b);
-            else if (isVecRight) result = new Vec2(a, a).scale(-1).addNew(b);
+            else if (isVecRight) result = new Vec2(a, a).subtractNew(b);
             else result = a - b;
             break;
           case "*":
@@ -181,82 +583,77 @@ export class InstructionRunner {
             else if (isVecRight) result = b.scaleNew(a);
             else result = a * b;
             break;
+          case "/":
+            if (isVecLeft && isVecRight) result = a.divideNew(b);
+            else if (isVecLeft) result = a.scaleNew(1 / b);
+            else if (isVecRight) result = new Vec2(a, a).divideNew(b);
+            else result = a / b;
+            break;
           default:
-            throw new Error(`Unrecognised operator: ${operator}`);
-        }
-
-        // Store operation information for references
-        if (result instanceof Vec2) {
-          result._sourceOperation = {
-            operator,
-            operands: [a, b],
-            recompute: () => {
-                // Method to update this vector based on current operand values
-                let r;
-                switch (operator) {
-                  case "+":
-                    if (isVecLeft && isVecRight) r = a.addNew(b);
-                    else if (isVecLeft) r = a.addScalarNew(b);
-                    else if (isVecRight) r = b.addScalarNew(a);
-                    break;
-                  case "-":
-                    if (isVecLeft && isVecRight) r = a.subtractNew(b);
-                    else if (isVecLeft) r = a.subtractScalarNew(b);
-                    else if (isVecRight) r = b.subtractScalarNew(a);
-                    break;
-                  case "*":
-                    if (isVecLeft && isVecRight) r = a.multiplyNew(b);
-                    else if (isVecLeft) r = a.scaleNew(b);
-                    else if (isVecRight) r = b.scaleNew(a);
-                    break;
-                }
-                result.reset(...r)
-                return result;
-              }
-          };
-
-          // Track operands that may be vectors for reactive updates
-          if (isVecLeft) {
-            if (!this.derivedVectors.has(a)) {
-              this.derivedVectors.set(a, new Set());
-            }
-            this.derivedVectors.get(a).add(result);
-          }
-          if (isVecRight) {
-            if (!this.derivedVectors.has(b)) {
-              this.derivedVectors.set(b, new Set());
-            }
-            this.derivedVectors.get(b).add(result);
-          }
+            throw new ScriptError(`Unrecognised operator: ${operator}`, {
+              code: Diagnostic.CODE.UNKNOWN_OPERATOR,
+              span: node.span
+            });
         }
 
         return result;
       }
+      case "UnaryOperation": {
+        const { operator, argument } = node;
+        const a = this.evaluateExpression(argument);
+        switch (operator) {
+          case "-":
+            if (a instanceof Vec2) return a.negateNew();
+            if (a instanceof Mat2) return a.multiplyScalarNew(-1);
+            return -a;
+          case "+":
+            return a;
+          default:
+            throw new ScriptError(`Unrecognised operator: ${operator}`, {
+              code: Diagnostic.CODE.UNKNOWN_OPERATOR,
+              span: node.span
+            });
+        }
+      }
       case "VariableMethodCall": {
-        const { variable, method, args } = node;
-        const targetObject = this.evaluateExpression({ type: "VariableReference", name: variable });
-        if (typeof targetObject[method] !== 'function') {
-          throw new Error(`Method '${method}' not found on variable '${variable}'`);
+        const { variable, object, method, args } = node;
+        // Chained calls such as `Vec2(1, 2).length` carry the target expression in `object`.
+        // Methods run on a copy so an expression never modifies the variable it reads.
+        const targetObject = this.#own(this.evaluateExpression(object ?? { type: "VariableReference", name: variable }));
+        if (typeof targetObject?.[method] !== 'function') {
+          throw new ScriptError(`Method '${method}' not found on ${variable ? `variable '${variable}'` : 'value'}`, {
+            code: Diagnostic.CODE.UNKNOWN_METHOD,
+            span: node.span
+          });
         }
         const resolvedArgs = args.map(arg => this.evaluateExpression(arg));
         return targetObject[method](...resolvedArgs);
       }
       case "VariablePropertyAccess": {
-        const { variable, property } = node;
-        const targetObject = this.evaluateExpression({ type: "VariableReference", name: variable });
+        const { variable, object, property } = node;
+        const targetObject = this.evaluateExpression(object ?? { type: "VariableReference", name: variable });
         if (targetObject?.[property] === undefined) {
-          throw new Error(`Property '${property}' not found on variable '${variable}'`);
+          throw new ScriptError(`Property '${property}' not found on ${variable ? `variable '${variable}'` : 'value'}`, {
+            code: Diagnostic.CODE.UNKNOWN_PROPERTY,
+            span: node.span
+          });
         }
         return targetObject[property];
       }
       case "VariableReference": {
+        if (!this.variables.hasOwnProperty(node.name) && constants.hasOwnProperty(node.name)) {
+          return constants[node.name];
+        }
         if (!this.variables.hasOwnProperty(node.name)) {
-          throw new Error(`Variable '${node.name}' is not defined.`);
+          throw new ScriptError(`Variable '${node.name}' is not defined.`, {
+            code: Diagnostic.CODE.UNDEFINED_VARIABLE,
+            span: node.span
+          });
         }
         return this.variables[node.name].value;
       }
       default:
-        throw new Error(`Cannot evaluate node of type: ${node.type || typeof node}`);
+        throw new ScriptError(`Cannot evaluate node of type: ${node.type || typeof node}`, { span: node.span });
     }
   }
 }
\ No newline at end of file
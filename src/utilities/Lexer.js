@@ -0,0 +1,115 @@
+import { Diagnostic, ScriptError } from "./Diagnostic"
+
+export class Token {
+  type;
+  value;
+  start;
+  end;
+
+  constructor({ type, value, start, end }) {
+    this.type = type;
+    this.value = value;
+    this.start = start;
+    this.end = end;
+  }
+
+  /**
+   * Whether this token matches the given type and, optionally, value.
+   * @param {string} type
+   * @param {*} [value]
+   * @returns {boolean}
+   */
+  is(type, value) {
+    return this.type === type && (value === undefined || this.value === value);
+  }
+}
+
+export class Lexer {
+  static TYPE = {
+    NUMBER: 'Number',
+    IDENTIFIER: 'Identifier',
+    STRING: 'String',
+    HASH: 'Hash',
+    OPERATOR: 'Operator',
+    LPAREN: 'LeftParen',
+    RPAREN: 'RightParen',
+    COMMA: 'Comma',
+    DOT: 'Dot',
+    COLON: 'Colon',
+    ASSIGN: 'Assign',
+    PERCENT: 'Percent',
+    EOF: 'EOF'
+  }
+
+  // 12, 1.5, .5, 1e-3
+  #rNumber = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+  // a, _b, Vec2
+  #rIdentifier = /^[a-zA-Z_]\w*/;
+  // #CC3344, #zzz - validated by whoever consumes it
+  #rHash = /^#\w*/;
+  // "v₁", 'label'
+  #rString = /^(["'])((?:\\.|(?!\1).)*)\1/;
+
+  #punctuation = {
+    '(': Lexer.TYPE.LPAREN,
+    ')': Lexer.TYPE.RPAREN,
+    ',': Lexer.TYPE.COMMA,
+    '.': Lexer.TYPE.DOT,
+    ':': Lexer.TYPE.COLON,
+    '=': Lexer.TYPE.ASSIGN,
+    '%': Lexer.TYPE.PERCENT,
+    '+': Lexer.TYPE.OPERATOR,
+    '-': Lexer.TYPE.OPERATOR,
+    '*': Lexer.TYPE.OPERATOR,
+    '/': Lexer.TYPE.OPERATOR
+  }
+
+  constructor() {}
+
+  /**
+   * Splits a source string into tokens, ending with an EOF token. Token
+   * positions (and the span of any ScriptError thrown) are offsets into `source`.
+   * @param {string} source
+   * @returns {Token[]}
+   */
+  tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      const rest = source.slice(i);
+      let match;
+
+      if ((match = rest.match(this.#rNumber))) {
+        tokens.push(new Token({ type: Lexer.TYPE.NUMBER, value: parseFloat(match[0]), start: i, end: i + match[0].length }));
+      } else if ((match = rest.match(this.#rIdentifier))) {
+        tokens.push(new Token({ type: Lexer.TYPE.IDENTIFIER, value: match[0], start: i, end: i + match[0].length }));
+      } else if ((match = rest.match(this.#rHash))) {
+        tokens.push(new Token({ type: Lexer.TYPE.HASH, value: match[0], start: i, end: i + match[0].length }));
+      } else if ((match = rest.match(this.#rString))) {
+        const value = match[2].replace(/\\(.)/g, '$1');
+        tokens.push(new Token({ type: Lexer.TYPE.STRING, value, start: i, end: i + match[0].length }));
+      } else if (this.#punctuation[char]) {
+        tokens.push(new Token({ type: this.#punctuation[char], value: char, start: i, end: i + 1 }));
+        match = [char];
+      } else {
+        throw new ScriptError(`Unexpected character '${char}'`, {
+          code: Diagnostic.CODE.UNEXPECTED_CHARACTER,
+          span: { offset: i, length: 1 }
+        });
+      }
+
+      i += match[0].length;
+    }
+
+    tokens.push(new Token({ type: Lexer.TYPE.EOF, value: null, start: source.length, end: source.length }));
+    return tokens;
+  }
+}
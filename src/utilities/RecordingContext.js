@@ -0,0 +1,207 @@
+/**
+ * Base class for drawing backends that record what is drawn instead of
+ * painting pixels. It implements the subset of CanvasRenderingContext2D used
+ * by drawingFunctions and drawScene:
+ *
+ * - state: `save`, `restore`, `fillStyle`, `strokeStyle`, `lineWidth`,
+ *   `lineCap`, `lineJoin`, `globalAlpha`, `font`, `textAlign`, `textBaseline`,
+ *   `setLineDash`
+ * - paths: `beginPath`, `moveTo`, `lineTo`, `arc`, `closePath`, `fill`, `stroke`
+ * - rectangles: `fillRect`, `strokeRect`, `clearRect`
+ * - text: `fillText`, `strokeText`, `measureText`
+ *
+ * plus the optional `beginGroup(info)` / `endGroup()` pair drawScene uses to
+ * mark which variable a run of drawing belongs to. A canvas context has no
+ * such methods and simply skips them.
+ *
+ * Subclasses receive finished paths, rectangles and text through `addPath`,
+ * `addRect` and `addText`, each with a snapshot of the drawing state.
+ */
+
+const defaultState = {
+  fillStyle: "#000000",
+  strokeStyle: "#000000",
+  lineWidth: 1,
+  lineCap: "butt",
+  lineJoin: "miter",
+  globalAlpha: 1,
+  font: "10px sans-serif",
+  textAlign: "start",
+  textBaseline: "alphabetic",
+  lineDash: []
+};
+
+/**
+ * Text width without a canvas: an average glyph is a little over half as
+ * wide as the font size.
+ */
+export function estimateTextWidth(text, font) {
+  const size = parseFloat(/([\d.]+)px/.exec(font)?.[1] ?? "10");
+  return String(text).length * size * 0.55;
+}
+
+export class RecordingContext {
+  width;
+  height;
+
+  #stack = [];
+  #state = { ...defaultState };
+  #path = [];
+  #current = null;
+  #measure;
+
+  /**
+   * @param {number} width In pixels.
+   * @param {number} height In pixels.
+   * @param {object} [options]
+   * @param {(text: string, font: string) => number} [options.measureText]
+   *   Text width in pixels. Defaults to a canvas when one is available and
+   *   an estimate otherwise, eg in Node.
+   */
+  constructor(width, height, { measureText } = {}) {
+    this.width = width;
+    this.height = height;
+    this.#measure = measureText ?? RecordingContext.#defaultMeasure();
+  }
+
+  static #defaultMeasure() {
+    const canvas = globalThis.document?.createElement?.("canvas");
+    const ctx = canvas?.getContext?.("2d");
+    if (!ctx) return estimateTextWidth;
+    return (text, font) => {
+      ctx.font = font;
+      return ctx.measureText(text).width;
+    };
+  }
+
+  // Drawing state, as on a canvas context
+  get fillStyle() { return this.#state.fillStyle; }
+  set fillStyle(value) { this.#state.fillStyle = value; }
+  get strokeStyle() { return this.#state.strokeStyle; }
+  set strokeStyle(value) { this.#state.strokeStyle = value; }
+  get lineWidth() { return this.#state.lineWidth; }
+  set lineWidth(value) { this.#state.lineWidth = value; }
+  get lineCap() { return this.#state.lineCap; }
+  set lineCap(value) { this.#state.lineCap = value; }
+  get lineJoin() { return this.#state.lineJoin; }
+  set lineJoin(value) { this.#state.lineJoin = value; }
+  get globalAlpha() { return this.#state.globalAlpha; }
+  set globalAlpha(value) { this.#state.globalAlpha = value; }
+  get font() { return this.#state.font; }
+  set font(value) { this.#state.font = value; }
+  get textAlign() { return this.#state.textAlign; }
+  set textAlign(value) { this.#state.textAlign = value; }
+  get textBaseline() { return this.#state.textBaseline; }
+  set textBaseline(value) { this.#state.textBaseline = value; }
+
+  setLineDash(segments) {
+    this.#state.lineDash = [...segments];
+  }
+
+  getLineDash() {
+    return [...this.#state.lineDash];
+  }
+
+  save() {
+    this.#stack.push({ ...this.#state });
+  }
+
+  restore() {
+    if (this.#stack.length) this.#state = this.#stack.pop();
+  }
+
+  // Paths, recorded as { op: "M" | "L" | "A" | "Z", ... } commands
+
+  beginPath() {
+    this.#path = [];
+    this.#current = null;
+  }
+
+  moveTo(x, y) {
+    this.#path.push({ op: "M", x, y });
+    this.#current = { x, y, start: { x, y } };
+  }
+
+  lineTo(x, y) {
+    if (!this.#current) return this.moveTo(x, y);
+    this.#path.push({ op: "L", x, y });
+    this.#current = { ...this.#current, x, y };
+  }
+
+  closePath() {
+    if (!this.#current) return;
+    this.#path.push({ op: "Z" });
+    const { start } = this.#current;
+    this.#current = { x: start.x, y: start.y, start };
+  }
+
+  /**
+   * Same arguments as the canvas method. Recorded with `sweep`, the
+   * (non-negative) angle turned in the arc's direction, up to a full turn.
+   */
+  arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+    const full = Math.PI * 2;
+    const turned = anticlockwise ? startAngle - endAngle : endAngle - startAngle;
+    const sweep = turned >= full ? full : ((turned % full) + full) % full;
+
+    const startX = x + radius * Math.cos(startAngle);
+    const startY = y + radius * Math.sin(startAngle);
+    if (this.#current) this.lineTo(startX, startY);
+    else this.moveTo(startX, startY);
+
+    const end = startAngle + (anticlockwise ? -sweep : sweep);
+    this.#path.push({ op: "A", x, y, radius, startAngle, sweep, anticlockwise });
+    this.#current = { ...this.#current, x: x + radius * Math.cos(end), y: y + radius * Math.sin(end) };
+  }
+
+  fill() {
+    if (this.#path.length) this.addPath([...this.#path], "fill", this.#snapshot());
+  }
+
+  stroke() {
+    if (this.#path.length) this.addPath([...this.#path], "stroke", this.#snapshot());
+  }
+
+  // Rectangles
+
+  fillRect(x, y, width, height) {
+    this.addRect({ x, y, width, height }, "fill", this.#snapshot());
+  }
+
+  strokeRect(x, y, width, height) {
+    this.addRect({ x, y, width, height }, "stroke", this.#snapshot());
+  }
+
+  // Clearing the whole area starts over; anything smaller is ignored
+  clearRect(x, y, width, height) {
+    if (x <= 0 && y <= 0 && x + width >= this.width && y + height >= this.height) this.clear();
+  }
+
+  // Text
+
+  fillText(text, x, y) {
+    this.addText(String(text), x, y, "fill", this.#snapshot());
+  }
+
+  strokeText(text, x, y) {
+    this.addText(String(text), x, y, "stroke", this.#snapshot());
+  }
+
+  measureText(text) {
+    return { width: this.#measure(text, this.#state.font) };
+  }
+
+  // Optional grouping, see drawScene
+  beginGroup() {}
+  endGroup() {}
+
+  // Overridden by subclasses
+  addPath() {}
+  addRect() {}
+  addText() {}
+  clear() {}
+
+  #snapshot() {
+    return { ...this.#state, lineDash: [...this.#state.lineDash] };
+  }
+}
@@ -0,0 +1,282 @@
+import { Vec2, Mat2 } from "wtc-math";
+import { Diagnostic, ScriptError } from "./Diagnostic";
+import { Point, Segment, Line, Circle, Polygon, Angle } from "./primitives";
+
+/**
+ * Named constants available in scripts. A variable with the same name wins.
+ */
+export const constants = {
+  PI: Math.PI,
+  TAU: Math.PI * 2,
+  E: Math.E,
+  true: true,
+  false: false
+};
+
+function fail(message) {
+  throw new ScriptError(message, { code: Diagnostic.CODE.INVALID_ARGUMENT });
+}
+
+function arity(name, args, count) {
+  if (args.length !== count) fail(`${name}() expects ${count} argument${count === 1 ? '' : 's'}, got ${args.length}`);
+}
+
+function vector(name, value, position) {
+  if (!(value instanceof Vec2)) fail(`${name}() expects a vector as argument ${position}`);
+  return value;
+}
+
+function number(name, value, position) {
+  if (typeof value !== 'number') fail(`${name}() expects a number as argument ${position}`);
+  return value;
+}
+
+function matrix(name, value, position) {
+  if (!(value instanceof Mat2)) fail(`${name}() expects a matrix as argument ${position}`);
+  return value;
+}
+
+function describe(value) {
+  if (value instanceof Mat2) return 'a matrix';
+  if (value instanceof Vec2) return 'a vector';
+  return typeof value === 'number' ? 'a number' : `'${value}'`;
+}
+
+// wtc-math's Mat2 is column-major: (a11, a12) is the first column. Its own
+// determinant and invertNew don't give the textbook results, so these do.
+const determinant = (m) => m.a11 * m.a22 - m.a21 * m.a12;
+
+function invert(m) {
+  const det = determinant(m);
+  return new Mat2(m.a22 / det, -m.a12 / det, -m.a21 / det, m.a11 / det);
+}
+
+// M * v; a transformed point is still a point
+function transform(m, v) {
+  const result = v.transformByMat2New(m);
+  return v instanceof Point ? new Point(result.x, result.y) : result;
+}
+
+/**
+ * Applies an arithmetic operator when either side is a matrix: products with
+ * matrices, vectors and numbers, sums and differences of matrices, and
+ * division by a number. Vectors are columns, so only `M * v` is defined.
+ */
+export function matrixOperation(operator, a, b) {
+  const isMatrixLeft = a instanceof Mat2;
+  const isMatrixRight = b instanceof Mat2;
+
+  switch (operator) {
+    case '*':
+      if (isMatrixLeft && isMatrixRight) return a.multiplyNew(b);
+      if (isMatrixLeft && b instanceof Vec2) return transform(a, b);
+      if (isMatrixLeft && typeof b === 'number') return a.multiplyScalarNew(b);
+      if (isMatrixRight && typeof a === 'number') return b.multiplyScalarNew(a);
+      if (isMatrixRight && a instanceof Vec2) fail(`A vector can't be multiplied by a matrix; write M * v to transform it`);
+      break;
+    case '/':
+      if (isMatrixLeft && typeof b === 'number') return a.multiplyScalarNew(1 / b);
+      break;
+    case '+':
+      if (isMatrixLeft && isMatrixRight) return a.addNew(b);
+      break;
+    case '-':
+      if (isMatrixLeft && isMatrixRight) return a.subtractNew(b);
+      break;
+  }
+  fail(`Can't apply ${operator} to ${describe(a)} and ${describe(b)}`);
+}
+
+const dot = (a, b) => a.x * b.x + a.y * b.y;
+const cross = (a, b) => a.x * b.y - a.y * b.x;
+
+function project(a, b) {
+  const lengthSquared = dot(b, b);
+  if (lengthSquared === 0) fail(`project() can't project onto a zero-length vector`);
+  return b.scaleNew(dot(a, b) / lengthSquared);
+}
+
+// Applies a numeric function to a number, or to each component of a vector
+function componentwise(name, fn) {
+  return (...args) => {
+    arity(name, args, 1);
+    const [v] = args;
+    if (v instanceof Vec2) return new Vec2(fn(v.x), fn(v.y));
+    return fn(number(name, v, 1));
+  };
+}
+
+// min/max over any number of numbers, or component-wise over vectors
+function extreme(name, fn) {
+  return (...args) => {
+    if (args.length === 0) fail(`${name}() expects at least one argument`);
+    if (args.every(a => a instanceof Vec2)) return new Vec2(fn(...args.map(a => a.x)), fn(...args.map(a => a.y)));
+    args.forEach((a, i) => number(name, a, i + 1));
+    return fn(...args);
+  };
+}
+
+/**
+ * Functions available in scripts, eg `d = dot(a, b)`. Angles are in radians.
+ * Each receives already-evaluated arguments and returns a new value; none of
+ * them modify their arguments.
+ */
+export const functions = {
+  dot(...args) {
+    arity('dot', args, 2);
+    return dot(vector('dot', args[0], 1), vector('dot', args[1], 2));
+  },
+  // The z component of the 3D cross product, ie the signed area of the parallelogram
+  cross(...args) {
+    arity('cross', args, 2);
+    return cross(vector('cross', args[0], 1), vector('cross', args[1], 2));
+  },
+  length(...args) {
+    arity('length', args, 1);
+    if (typeof args[0] === 'number') return Math.abs(args[0]);
+    return vector('length', args[0], 1).length;
+  },
+  distance(...args) {
+    arity('distance', args, 2);
+    return vector('distance', args[0], 1).subtractNew(vector('distance', args[1], 2)).length;
+  },
+  normalize(...args) {
+    arity('normalize', args, 1);
+    const v = vector('normalize', args[0], 1);
+    if (v.length === 0) fail(`normalize() can't normalize a zero-length vector`);
+    return v.scaleNew(1 / v.length);
+  },
+  // Angle of a vector from the positive x axis
+  angle(...args) {
+    arity('angle', args, 1);
+    const v = vector('angle', args[0], 1);
+    return Math.atan2(v.y, v.x);
+  },
+  // Unsigned angle between two vectors, 0 to PI
+  angleBetween(...args) {
+    arity('angleBetween', args, 2);
+    const a = vector('angleBetween', args[0], 1);
+    const b = vector('angleBetween', args[1], 2);
+    return Math.atan2(Math.abs(cross(a, b)), dot(a, b));
+  },
+  // The component of a along b
+  project(...args) {
+    arity('project', args, 2);
+    return project(vector('project', args[0], 1), vector('project', args[1], 2));
+  },
+  // The component of a perpendicular to b
+  reject(...args) {
+    arity('reject', args, 2);
+    const a = vector('reject', args[0], 1);
+    return a.subtractNew(project(a, vector('reject', args[1], 2)));
+  },
+  // Reflects v off a surface with normal n
+  reflect(...args) {
+    arity('reflect', args, 2);
+    const v = vector('reflect', args[0], 1);
+    const n = vector('reflect', args[1], 2);
+    if (n.length === 0) fail(`reflect() needs a non-zero normal`);
+    const unit = n.scaleNew(1 / n.length);
+    return v.subtractNew(unit.scaleNew(2 * dot(v, unit)));
+  },
+  rotate(...args) {
+    arity('rotate', args, 2);
+    const v = vector('rotate', args[0], 1);
+    const r = number('rotate', args[1], 2);
+    const c = Math.cos(r);
+    const s = Math.sin(r);
+    return new Vec2(v.x * c - v.y * s, v.x * s + v.y * c);
+  },
+  lerp(...args) {
+    arity('lerp', args, 3);
+    const [a, b] = args;
+    const t = number('lerp', args[2], 3);
+    if (a instanceof Vec2 || b instanceof Vec2) {
+      return vector('lerp', a, 1).addNew(vector('lerp', b, 2).subtractNew(a).scaleNew(t));
+    }
+    return number('lerp', a, 1) + (number('lerp', b, 2) - a) * t;
+  },
+  // v rotated a quarter turn anticlockwise
+  perp(...args) {
+    arity('perp', args, 1);
+    const v = vector('perp', args[0], 1);
+    return new Vec2(-v.y, v.x);
+  },
+  min: extreme('min', Math.min),
+  max: extreme('max', Math.max),
+  abs: componentwise('abs', Math.abs),
+  floor: componentwise('floor', Math.floor),
+  round: componentwise('round', Math.round),
+  sqrt: componentwise('sqrt', Math.sqrt),
+  sin: componentwise('sin', Math.sin),
+  cos: componentwise('cos', Math.cos),
+  tan: componentwise('tan', Math.tan),
+  atan2(...args) {
+    arity('atan2', args, 2);
+    return Math.atan2(number('atan2', args[0], 1), number('atan2', args[1], 2));
+  },
+  // Degrees to radians and back
+  rad: componentwise('rad', d => d * Math.PI / 180),
+  deg: componentwise('deg', r => r * 180 / Math.PI),
+
+  // 2×2 matrices. Mat2(a, b, c, d) is written row by row, so it maps (x, y)
+  // to (ax + by, cx + dy); Mat2(i, j) takes the images of the basis vectors,
+  // ie its columns. Mat2() is the identity.
+  Mat2(...args) {
+    if (args.length === 0) return Mat2.identity();
+    if (args.length === 2) {
+      const i = vector('Mat2', args[0], 1);
+      const j = vector('Mat2', args[1], 2);
+      return new Mat2(i.x, i.y, j.x, j.y);
+    }
+    if (args.length !== 4) fail(`Mat2() expects 4 numbers or 2 vectors, got ${args.length} arguments`);
+    const [a, b, c, d] = args.map((arg, i) => number('Mat2', arg, i + 1));
+    return new Mat2(a, c, b, d);
+  },
+  det(...args) {
+    arity('det', args, 1);
+    return determinant(matrix('det', args[0], 1));
+  },
+  inverse(...args) {
+    arity('inverse', args, 1);
+    const m = matrix('inverse', args[0], 1);
+    if (determinant(m) === 0) fail(`inverse() can't invert a matrix with determinant 0`);
+    return invert(m);
+  },
+  transpose(...args) {
+    arity('transpose', args, 1);
+    return matrix('transpose', args[0], 1).transposeNew();
+  },
+
+  // Geometric primitives
+  Point(...args) {
+    if (args.length === 1) return new Point(...vector('Point', args[0], 1));
+    arity('Point', args, 2);
+    return new Point(number('Point', args[0], 1), number('Point', args[1], 2));
+  },
+  Segment(...args) {
+    arity('Segment', args, 2);
+    return new Segment(vector('Segment', args[0], 1), vector('Segment', args[1], 2));
+  },
+  Line(...args) {
+    arity('Line', args, 2);
+    const direction = vector('Line', args[1], 2);
+    if (direction.length === 0) fail(`Line() needs a non-zero direction`);
+    return new Line(vector('Line', args[0], 1), direction);
+  },
+  Circle(...args) {
+    arity('Circle', args, 2);
+    return new Circle(vector('Circle', args[0], 1), Math.abs(number('Circle', args[1], 2)));
+  },
+  Polygon(...args) {
+    if (args.length < 3) fail(`Polygon() expects at least 3 points, got ${args.length}`);
+    return new Polygon(...args.map((p, i) => vector('Polygon', p, i + 1)));
+  },
+  Angle(...args) {
+    arity('Angle', args, 2);
+    return new Angle(vector('Angle', args[0], 1), vector('Angle', args[1], 2));
+  }
+};
+
+// British spelling, to match wtc-math's own methods
+functions.normalise = functions.normalize;
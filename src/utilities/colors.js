@@ -0,0 +1,60 @@
+/**
+ * Recognising CSS colours written in scripts, eg `#0067C7`, `#0067C780`,
+ * `tomato`, `rgb(0, 103, 199)` or `hsl(210 100% 39% / 50%)`. Canvas and SVG
+ * both accept these strings as they are, so they're only validated here.
+ */
+
+// CSS Color Module Level 4 named colours
+const namedColors = new Set([
+  "aliceblue", "antiquewhite", "aqua", "aquamarine", "azure", "beige", "bisque", "black",
+  "blanchedalmond", "blue", "blueviolet", "brown", "burlywood", "cadetblue", "chartreuse",
+  "chocolate", "coral", "cornflowerblue", "cornsilk", "crimson", "cyan", "darkblue", "darkcyan",
+  "darkgoldenrod", "darkgray", "darkgreen", "darkgrey", "darkkhaki", "darkmagenta",
+  "darkolivegreen", "darkorange", "darkorchid", "darkred", "darksalmon", "darkseagreen",
+  "darkslateblue", "darkslategray", "darkslategrey", "darkturquoise", "darkviolet", "deeppink",
+  "deepskyblue", "dimgray", "dimgrey", "dodgerblue", "firebrick", "floralwhite", "forestgreen",
+  "fuchsia", "gainsboro", "ghostwhite", "gold", "goldenrod", "gray", "green", "greenyellow",
+  "grey", "honeydew", "hotpink", "indianred", "indigo", "ivory", "khaki", "lavender",
+  "lavenderblush", "lawngreen", "lemonchiffon", "lightblue", "lightcoral", "lightcyan",
+  "lightgoldenrodyellow", "lightgray", "lightgreen", "lightgrey", "lightpink", "lightsalmon",
+  "lightseagreen", "lightskyblue", "lightslategray", "lightslategrey", "lightsteelblue",
+  "lightyellow", "lime", "limegreen", "linen", "magenta", "maroon", "mediumaquamarine",
+  "mediumblue", "mediumorchid", "mediumpurple", "mediumseagreen", "mediumslateblue",
+  "mediumspringgreen", "mediumturquoise", "mediumvioletred", "midnightblue", "mintcream",
+  "mistyrose", "moccasin", "navajowhite", "navy", "oldlace", "olive", "olivedrab", "orange",
+  "orangered", "orchid", "palegoldenrod", "palegreen", "paleturquoise", "palevioletred",
+  "papayawhip", "peachpuff", "peru", "pink", "plum", "powderblue", "purple", "rebeccapurple",
+  "red", "rosybrown", "royalblue", "saddlebrown", "salmon", "sandybrown", "seagreen", "seashell",
+  "sienna", "silver", "skyblue", "slateblue", "slategray", "slategrey", "snow", "springgreen",
+  "steelblue", "tan", "teal", "thistle", "tomato", "turquoise", "violet", "wheat", "white",
+  "whitesmoke", "yellow", "yellowgreen", "transparent"
+]);
+
+/**
+ * The functions scripts can write colours with. The parser keeps modifiers
+ * that call them as plain text rather than evaluating their arguments.
+ */
+export const colorFunctions = ["rgb", "rgba", "hsl", "hsla"];
+
+const rHex = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const number = String.raw`[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?`;
+const component = `${number}(?:%|deg|rad|grad|turn)?`;
+// rgb(0, 103, 199), rgba(0, 103, 199, 0.5), hsl(210 100% 39% / 50%)
+const rFunction = new RegExp(
+  `^(?:${colorFunctions.join("|")})\\(\\s*` +
+  `(?:${component}\\s*,\\s*${component}\\s*,\\s*${component}(?:\\s*,\\s*${component})?` +
+  `|${component}\\s+${component}\\s+${component}(?:\\s*\\/\\s*${component})?)` +
+  `\\s*\\)$`,
+  "i"
+);
+
+/**
+ * Whether a string is a CSS colour this package understands.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isColor(value) {
+  if (typeof value !== "string") return false;
+  const text = value.trim();
+  return rHex.test(text) || namedColors.has(text.toLowerCase()) || rFunction.test(text);
+}
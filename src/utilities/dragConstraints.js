@@ -0,0 +1,73 @@
+import { Vec2 } from "wtc-math";
+
+import { Segment, Line, Circle } from "./primitives";
+
+/**
+ * Restricting drags with the `axis`, `on`, `lockLength` and `lockAngle`
+ * modifiers. `axis` and `on` limit where the dragged point (a tip, a tail or,
+ * for a translation, the tail) can go; `lockLength` and `lockAngle` limit
+ * the vector's value itself.
+ */
+
+/**
+ * The point on a Circle, Line or Segment nearest to `p`.
+ * @param {Circle|Line|Segment} path
+ * @param {Vec2} p
+ * @returns {Vec2}
+ */
+export function closestPointOn(path, p) {
+  if (path instanceof Circle) {
+    const offset = p.subtractNew(path.center);
+    // From the centre every direction is as near; pick the right
+    const direction = offset.length > 0 ? offset.scaleNew(1 / offset.length) : new Vec2(1, 0);
+    return path.center.addNew(direction.scale(path.radius));
+  }
+  if (path instanceof Line || path instanceof Segment) {
+    const start = path instanceof Line ? path.point : path.start;
+    const direction = path instanceof Line ? path.direction : path.end.subtractNew(path.start);
+    const lengthSquared = direction.lengthSquared;
+    if (lengthSquared === 0) return start.clone();
+    let t = p.subtractNew(start).dot(direction) / lengthSquared;
+    if (path instanceof Segment) t = Math.min(Math.max(t, 0), 1);
+    return start.addNew(direction.scaleNew(t));
+  }
+  return p.clone();
+}
+
+/**
+ * Applies `axis` and `on` to a dragged point.
+ * @param {Vec2} p Where the pointer would put the point.
+ * @param {object} properties The variable's modifiers.
+ * @param {Vec2} start Where the point was when the drag began.
+ * @returns {Vec2}
+ */
+export function constrainPoint(p, { axis, on } = {}, start) {
+  let point = p.clone();
+  if (axis === "x") point = new Vec2(p.x, start.y);
+  if (axis === "y") point = new Vec2(start.x, p.y);
+  if (on) point = closestPointOn(on, point);
+  return point;
+}
+
+/**
+ * Applies `lockLength` and `lockAngle` to a vector's new value.
+ * @param {Vec2} value The value the drag would give.
+ * @param {object} properties The variable's modifiers.
+ * @param {Vec2} start The value when the drag began.
+ * @returns {Vec2}
+ */
+export function constrainValue(value, { lockLength, lockAngle } = {}, start) {
+  const length = start.length;
+  // Both locks leave nothing to change, and a zero vector has no angle to keep
+  if ((lockLength && lockAngle) || ((lockLength || lockAngle) && length === 0)) return start.clone();
+
+  if (lockLength) {
+    return value.length > 0 ? value.scaleNew(length / value.length) : start.clone();
+  }
+  if (lockAngle) {
+    // Slide along the original direction, without flipping past the tail
+    const direction = start.scaleNew(1 / length);
+    return direction.scale(Math.max(value.dot(direction), 0));
+  }
+  return value.clone();
+}
@@ -0,0 +1,322 @@
+import { Vec2, Mat2 } from "wtc-math";
+
+import { formatExpression } from "./formatExpression";
+import {
+  drawGrid, drawArrow, drawReadout, drawHandle, drawPoint, drawSegment, drawLine, drawCircle, drawPolygon, drawAngle, drawSnapHint,
+  formatScalar, pickColor, makeWorldToScreen
+} from "./drawingFunctions";
+import { Point, Segment, Line, Circle, Polygon, Angle, isDrawable } from "./primitives";
+import { SvgContext } from "./SvgContext";
+import { DisplayListContext } from "./DisplayListContext";
+import { themeColors } from "./themes";
+
+// Group names for shapes; constructor names don't survive minification
+function shapeKind(shape) {
+  if (shape instanceof Point) return "point";
+  if (shape instanceof Segment) return "segment";
+  if (shape instanceof Line) return "line";
+  if (shape instanceof Circle) return "circle";
+  if (shape instanceof Polygon) return "polygon";
+  return "angle";
+}
+
+/**
+ * Draws everything a runner holds - grid, axes, vectors, shapes, labels,
+ * reference text and the scalar readout - onto a drawing backend: a canvas
+ * context, or a RecordingContext such as SvgContext or DisplayListContext.
+ * Each variable's drawing is wrapped in `beginGroup`/`endGroup` calls for
+ * backends that have them.
+ *
+ * @param {CanvasRenderingContext2D|SvgContext} ctx
+ * @param {Vec2} dims Size of the drawing in pixels.
+ * @param {InstructionRunner} runner
+ * @param {object} options
+ * @param {{ unit: number, offset: Vec2 }} options.view Pixels per unit and pan offset.
+ * @param {string} [options.theme] Name of a theme (see themes.js) supplying any
+ *   colours not given.
+ * @param {string} [options.highlight] Name of a variable to emphasise, eg the one under the pointer.
+ * @param {object[]} [options.snapHints] What dragged points have snapped to, see snapPoint.
+ * @param {string} [options.gridMatrix] Name of a matrix variable to transform
+ *   the grid by. Defaults to the last matrix with the `grid` modifier.
+ */
+export function drawScene(ctx, dims, runner, {
+  view,
+  theme = "light",
+  bg,
+  gridColor,
+  axesColor,
+  vectorDefaultColor,
+  matrixGridColor,
+  matrixAxesColor,
+  adaptiveGrid = true,
+  showGrid = true,
+  showMinorGrid = true,
+  showAxes = true,
+  showTickLabels = true,
+  xAxisLabel,
+  yAxisLabel,
+  showLabels = true,
+  labelFont = "12px system-ui",
+  showReadout = true,
+  readoutPrecision = 2,
+  arrowHeadSize = 8,
+  arrowLineWidth = 2,
+  gridMatrix,
+  highlight,
+  snapHints = []
+}) {
+  if (!dims || dims.x <= 0 || dims.y <= 0) return;
+  ({ bg, gridColor, axesColor, vectorDefaultColor, matrixGridColor, matrixAxesColor } = themeColors(theme, {
+    bg, gridColor, axesColor, vectorDefaultColor, matrixGridColor, matrixAxesColor
+  }));
+
+  // Grid and axes
+  ctx.beginGroup?.({ type: "grid" });
+  const matrixEntry = gridMatrix
+    ? runner?.variables?.[gridMatrix]
+    : Object.values(runner?.variables ?? {}).filter(entry => entry?.properties?.grid).at(-1);
+  const matrix = matrixEntry?.value instanceof Mat2 ? matrixEntry.value : null;
+  drawGrid(ctx, dims, view.unit, {
+    gridColor, axesColor, bg, offsetPx: view.offset, matrix, matrixGridColor, matrixAxesColor,
+    adaptive: adaptiveGrid, showGrid, showMinorGrid, showAxes, showTickLabels, xAxisLabel, yAxisLabel
+  });
+  ctx.endGroup?.();
+
+  // Prepare transform
+  const toScreen = makeWorldToScreen(dims, view.unit, view.offset);
+
+  const drawLabel = (text, px, color, baseline = "middle") => {
+    ctx.save();
+    ctx.strokeStyle = bg;
+    ctx.lineWidth = 4;
+    ctx.font = labelFont;
+    ctx.fillStyle = color;
+    ctx.textBaseline = baseline;
+    ctx.textAlign = "center";
+    ctx.strokeText(text, px.x, px.y);
+    ctx.fillText(text, px.x, px.y);
+    ctx.restore();
+  };
+
+  // A `label:` modifier is always shown; names only with showLabels. `label: ""` shows nothing.
+  const labelText = (name, properties) => properties.label ?? (showLabels && name ? String(name) : "");
+
+  // Points, segments, lines, circles, polygons and angles
+  const drawShape = (name, entry) => {
+    const shape = entry.value;
+    const properties = entry.properties ?? {};
+    const color = pickColor(properties, vectorDefaultColor);
+    const lineWidth = (properties.width ?? arrowLineWidth) + (name === highlight ? 2 : 0);
+    const style = { color, lineWidth, bg, dashed: properties.dashed };
+    // Where the name label goes
+    let anchorPx;
+
+    if (shape instanceof Point) {
+      const px = toScreen((properties.origin ?? new Vec2(0, 0)).addNew(shape));
+      drawPoint(ctx, px, style);
+      anchorPx = px.addNew(new Vec2(0, -12));
+    } else if (shape instanceof Segment) {
+      const startPx = toScreen(shape.start);
+      const endPx = toScreen(shape.end);
+      drawSegment(ctx, startPx, endPx, style);
+      drawPoint(ctx, startPx, { ...style, radius: 2.5 });
+      drawPoint(ctx, endPx, { ...style, radius: 2.5 });
+      anchorPx = toScreen(shape.midpoint);
+    } else if (shape instanceof Line) {
+      const pointPx = toScreen(shape.point);
+      drawLine(ctx, dims, pointPx, toScreen(shape.point.addNew(shape.direction)), style);
+      drawPoint(ctx, pointPx, { ...style, radius: 2.5 });
+      anchorPx = pointPx.addNew(new Vec2(0, -12));
+    } else if (shape instanceof Circle) {
+      drawCircle(ctx, toScreen(shape.center), shape.radius * view.unit, style);
+      drawPoint(ctx, toScreen(shape.center), { ...style, radius: 2.5 });
+      anchorPx = toScreen(shape.center.addNew(new Vec2(0, shape.radius))).addNew(new Vec2(0, -10));
+    } else if (shape instanceof Polygon) {
+      drawPolygon(ctx, shape.points.map(toScreen), style);
+      anchorPx = toScreen(shape.centroid);
+    } else if (shape instanceof Angle) {
+      // The vertex is the angle's origin, eg the shared tail of both vectors
+      const vertexPx = toScreen(properties.origin ?? new Vec2(0, 0));
+      const degrees = `${formatScalar(Math.abs(shape.degrees), properties.precision ?? 1)}°`;
+      drawAngle(ctx, vertexPx, Math.atan2(shape.from.y, shape.from.x), shape.radians, {
+        ...style,
+        label: labelText(name, properties) ? `${labelText(name, properties)} = ${degrees}` : degrees,
+        font: labelFont
+      });
+    }
+
+    if (properties.interactive) {
+      const handlesPx = shape instanceof Point ? [anchorPx.addNew(new Vec2(0, 12))] : shape.handles().map(toScreen);
+      handlesPx.forEach(px => drawHandle(ctx, px, { color, bg }));
+    }
+
+    if (properties.reference && anchorPx && entry.instruction?.value) {
+      drawLabel(formatExpression(entry.instruction.value), anchorPx.addNew(new Vec2(0, -15)), color, "bottom");
+    }
+
+    const label = labelText(name, properties);
+    if (label && anchorPx) {
+      drawLabel(label, anchorPx, color);
+    }
+  };
+
+  // Draw vectors from runner
+  if (runner && runner.variables) {
+    for (const [name, entry] of Object.entries(runner.variables)) {
+      if (!entry || !isDrawable(entry.value) || entry.properties?.hidden) continue;
+
+      if (entry.value instanceof Point || !(entry.value instanceof Vec2)) {
+        ctx.beginGroup?.({ type: shapeKind(entry.value), name });
+        ctx.save();
+        if (entry.properties?.opacity !== undefined) ctx.globalAlpha = entry.properties.opacity;
+        drawShape(name, entry);
+        ctx.restore();
+        ctx.endGroup?.();
+        continue;
+      }
+
+      const vec = entry.value;
+
+      const properties = entry.properties ?? {};
+      const color = pickColor(properties, vectorDefaultColor);
+
+      // Origin in world units, defaults to (0,0)
+      const origin = properties?.origin ?? new Vec2(0, 0);
+
+      const startWorld = origin.clone();
+      const endWorld = origin.addNew(vec);
+
+      const startPx = toScreen(startWorld);
+      const endPx = toScreen(endWorld);
+      const midPx = startPx.addNew(
+        endPx.subtractNew(startPx).scaleNew(.5)
+      )
+
+      ctx.beginGroup?.({ type: "vector", name, origin: [origin.x, origin.y], value: [vec.x, vec.y] });
+      ctx.save();
+      if (properties.opacity !== undefined) ctx.globalAlpha = properties.opacity;
+
+      // Heads grow with thicker shafts
+      const lineWidth = properties.width ?? arrowLineWidth;
+      const headSize = arrowHeadSize * Math.max(1, lineWidth / arrowLineWidth);
+
+      // A soft glow under the highlighted vector
+      if (name === highlight) {
+        ctx.save();
+        ctx.globalAlpha *= 0.25;
+        drawArrow(ctx, startPx, endPx, { color, lineWidth: lineWidth + 6, headSize: headSize + 6, head: properties.head });
+        ctx.restore();
+      }
+
+      drawArrow(ctx, startPx, endPx, {
+        color,
+        lineWidth,
+        headSize,
+        interactive: properties.interactive,
+        bg,
+        dashed: properties.dashed,
+        head: properties.head
+      });
+
+      // Display the defining expression if this is a reference vector
+      const expression = entry.instruction?.value;
+      if (properties.reference && (expression?.type === 'Operation' || expression?.type === 'UnaryOperation')) {
+        ctx.save();
+
+        // Draw reference info above the vector
+        ctx.font = labelFont;
+        ctx.fillStyle = color;
+        ctx.textBaseline = "bottom";
+        ctx.textAlign = "center";
+        ctx.fillText(formatExpression(expression), midPx.x, midPx.y - 15);
+
+        ctx.restore();
+      }
+
+      // Optional label, at the middle of the shaft or just beyond either end
+      const label = labelText(name, properties);
+      if (label) {
+        const direction = endPx.subtractNew(startPx);
+        const away = direction.length > 0 ? direction.normaliseNew().scale(14) : new Vec2(0, -14);
+        const labelPx = {
+          tip: endPx.addNew(away),
+          tail: startPx.subtractNew(away)
+        }[properties.labelPosition] ?? midPx;
+        drawLabel(label, labelPx, color);
+      }
+
+      // dot at the origin point of the vector
+      if (!properties.noOriginDot) {
+        ctx.save();
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(...startPx, 2.5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+      }
+      ctx.restore();
+      ctx.endGroup?.();
+    }
+
+    // Scalars and booleans: on-canvas annotations, then the readout
+    const scalars = Object.entries(runner.variables)
+      .filter(([, entry]) => typeof entry?.value === "number" || typeof entry?.value === "boolean")
+      .filter(([, entry]) => !entry.properties?.hidden);
+
+    for (const [name, entry] of scalars) {
+      const target = runner.variables[entry.properties?.annotate];
+      if (!(target?.value instanceof Vec2)) continue;
+
+      const tipPx = toScreen((target.properties?.origin ?? new Vec2(0, 0)).addNew(target.value));
+      const text = `${entry.properties.label ?? name} = ${formatScalar(entry.value, entry.properties.precision ?? readoutPrecision)}`;
+
+      ctx.beginGroup?.({ type: "annotation", name });
+      ctx.save();
+      ctx.strokeStyle = bg;
+      ctx.lineWidth = 4;
+      ctx.font = labelFont;
+      ctx.fillStyle = pickColor(entry.properties, vectorDefaultColor);
+      ctx.textBaseline = "bottom";
+      ctx.textAlign = "left";
+      ctx.strokeText(text, tipPx.x + 10, tipPx.y - 6);
+      ctx.fillText(text, tipPx.x + 10, tipPx.y - 6);
+      ctx.restore();
+      ctx.endGroup?.();
+    }
+
+    if (showReadout && scalars.length) {
+      ctx.beginGroup?.({ type: "readout" });
+      drawReadout(ctx, scalars.map(([name, entry]) => ({
+        text: `${entry.properties?.label ?? name} = ${formatScalar(entry.value, entry.properties?.precision ?? readoutPrecision)}`,
+        color: pickColor(entry.properties, vectorDefaultColor)
+      })), { font: labelFont, bg, borderColor: gridColor });
+      ctx.endGroup?.();
+    }
+  }
+
+  // On top of everything, so they're seen over the vectors they snap to
+  for (const hint of snapHints) {
+    drawSnapHint(ctx, dims, hint, toScreen, { color: axesColor, bg, font: labelFont });
+  }
+}
+
+/**
+ * Renders a scene to a standalone SVG document, see drawScene.
+ * @returns {string}
+ */
+export function renderSVG(runner, dims, options) {
+  const ctx = new SvgContext(dims.x, dims.y, { measureText: options.measureText });
+  drawScene(ctx, dims, runner, options);
+  return ctx.toSVG();
+}
+
+/**
+ * Records a scene as a serializable display list, see DisplayListContext.
+ * Runs in Node, without a canvas.
+ * @returns {object[]}
+ */
+export function renderDisplayList(runner, dims, options) {
+  const ctx = new DisplayListContext(dims.x, dims.y, { measureText: options.measureText });
+  drawScene(ctx, dims, runner, options);
+  return ctx.toJSON();
+}
@@ -2,17 +2,82 @@
 // Utility: convert world (cartesian) to screen pixels with origin at center
 import {Vec2} from "wtc-math";
 
+// The view transform is `unit` (pixels per world unit) plus `offsetPx`, how far
+// world (0,0) sits from the centre of the canvas. Drawing, hit testing and
+// drag maths must all pass the same pair so they agree after panning/zooming.
 export function makeWorldToScreen(dims, unit, offsetPx = new Vec2(0,0)) {
   const c = dims.scaleNew(.5).add(offsetPx);
   return (v) => c.addNew(v.multiplyNew(new Vec2(1,-1)).scaleNew(unit));
 }
 
-export function screenToWorld(dims, unit, px) {
-  const c = dims.scaleNew(.5);
+export function screenToWorld(dims, unit, px, offsetPx = new Vec2(0,0)) {
+  const c = dims.scaleNew(.5).add(offsetPx);
   return px.subtractNew(c).multiply(new Vec2(1,-1)).scaleNew(1/unit)
 };
 
-export function drawGrid(ctx, dims, unit, { gridColor, axesColor, bg, axisLineWidth = 2, gridLineWidth = 1 }) {
+/**
+ * Zooms a view by `factor`, keeping the world point under `px` where it is.
+ * @param {{ unit: number, offset: Vec2 }} view
+ * @returns {{ unit: number, offset: Vec2 }} The new view.
+ */
+export function zoomViewAt(dims, view, px, factor, { minUnit = 2, maxUnit = 1000 } = {}) {
+  const unit = Math.min(Math.max(view.unit * factor, minUnit), maxUnit);
+  const world = screenToWorld(dims, view.unit, px, view.offset);
+  // Solve toScreen(world) === px for the new offset
+  const offset = px
+    .subtractNew(dims.scaleNew(.5))
+    .subtractNew(world.multiplyNew(new Vec2(1, -1)).scaleNew(unit));
+  return { unit, offset };
+}
+
+/**
+ * Grid spacing in world units for a zoom level: major lines are 1, 2 or 5 ×
+ * 10ⁿ apart, at least `minMajorPixels` on screen, with 4 or 5 minor lines
+ * between them.
+ * @param {number} unit Pixels per world unit.
+ * @returns {{ major: number, minor: number, decimals: number }} `decimals` is
+ *   how many a major tick's label needs.
+ */
+export function gridSpacing(unit, { minMajorPixels = 100 } = {}) {
+  const target = minMajorPixels / unit;
+  const exponent = Math.floor(Math.log10(target));
+  const power = 10 ** exponent;
+  const mantissa = [1, 2, 5, 10].find(m => m * power >= target * (1 - 1e-9));
+  const major = mantissa * power;
+  return {
+    major,
+    minor: major / (mantissa === 2 ? 4 : 5),
+    decimals: Math.max(0, -Math.floor(Math.log10(major) + 1e-9))
+  };
+}
+
+/**
+ * Draws the background, grid and axes for the visible part of the world.
+ * The grid adapts to the zoom level (see gridSpacing), with fainter minor
+ * lines and numbers along the axes at the major ones; `adaptive: false`
+ * draws a line at every integer instead. With `matrix` (a wtc-math Mat2)
+ * the grid is also drawn as transformed by it, over the plain one, so
+ * dragging the matrix's basis vectors shows how the whole plane deforms.
+ */
+export function drawGrid(ctx, dims, unit, {
+  gridColor,
+  axesColor,
+  bg,
+  axisLineWidth = 2,
+  gridLineWidth = 1,
+  offsetPx = new Vec2(0,0),
+  adaptive = true,
+  showGrid = true,
+  showMinorGrid = true,
+  showAxes = true,
+  showTickLabels = true,
+  xAxisLabel,
+  yAxisLabel,
+  font = "11px system-ui",
+  matrix = null,
+  matrixGridColor = "rgba(37, 99, 235, 0.35)",
+  matrixAxesColor = "#2563eb"
+}) {
   // Background
   if (bg) {
     ctx.save();
@@ -23,67 +88,205 @@ export function drawGrid(ctx, dims, unit, { gridColor, axesColor, bg, axisLineWi
     ctx.clearRect(0, 0, dims.x, dims.y);
   }
 
-  const toScreen = makeWorldToScreen(dims, unit);
-  const halfWidthUnits = dims.x / (2 * unit);
-  const halfHeightUnits = dims.y / (2 * unit);
+  const toScreen = makeWorldToScreen(dims, unit, offsetPx);
+  // Visible world rectangle
+  const min = screenToWorld(dims, unit, new Vec2(0, dims.y), offsetPx);
+  const max = screenToWorld(dims, unit, new Vec2(dims.x, 0), offsetPx);
+  const spacing = adaptive ? gridSpacing(unit) : { major: 1, minor: null, decimals: 0 };
+
+  // Lines x = k * step and y = k * step, skipping every `skip`th (drawn by a coarser pass)
+  const gridLines = (step, skip) => {
+    for (let k = Math.ceil(min.x / step); k <= Math.floor(max.x / step); k++) {
+      if (skip && k % skip === 0) continue;
+      const x = Math.round(toScreen(new Vec2(k * step, 0)).x) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(x, dims.y);
+      ctx.lineTo(x, 0);
+      ctx.stroke();
+    }
+    for (let k = Math.ceil(min.y / step); k <= Math.floor(max.y / step); k++) {
+      if (skip && k % skip === 0) continue;
+      const y = Math.round(toScreen(new Vec2(0, k * step)).y) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(dims.x, y);
+      ctx.stroke();
+    }
+  };
 
   ctx.save();
   ctx.lineWidth = gridLineWidth;
   ctx.strokeStyle = gridColor;
 
-  // Vertical grid lines (x = k)
-  for (let k = Math.ceil(-halfWidthUnits); k <= Math.floor(halfWidthUnits); k++) {
-    const p1 = toScreen(new Vec2(k, -halfHeightUnits));
-    const p2 = toScreen(new Vec2(k, +halfHeightUnits));
-    ctx.beginPath();
-    ctx.moveTo(Math.round(p1.x) + 0.5, p1.y);
-    ctx.lineTo(Math.round(p2.x) + 0.5, p2.y);
-    ctx.stroke();
+  if (showGrid) {
+    if (showMinorGrid && spacing.minor) {
+      ctx.globalAlpha = 0.5;
+      gridLines(spacing.minor, Math.round(spacing.major / spacing.minor));
+      ctx.globalAlpha = 1;
+    }
+    gridLines(spacing.major);
   }
 
-  // Horizontal grid lines (y = k)
-  for (let k = Math.ceil(-halfHeightUnits); k <= Math.floor(halfHeightUnits); k++) {
-    const p1 = toScreen(new Vec2(-halfWidthUnits, k));
-    const p2 = toScreen(new Vec2(+halfWidthUnits, k));
+  // Axes
+  const originPx = toScreen(new Vec2(0, 0));
+  if (showAxes) {
+    ctx.lineWidth = axisLineWidth;
+    ctx.strokeStyle = axesColor;
+
+    // x-axis (y = 0)
     ctx.beginPath();
-    ctx.moveTo(p1.x, Math.round(p1.y) + 0.5);
-    ctx.lineTo(p2.x, Math.round(p2.y) + 0.5);
+    ctx.moveTo(0, Math.round(originPx.y) + 0.5);
+    ctx.lineTo(dims.x, Math.round(originPx.y) + 0.5);
+    ctx.stroke();
+    // y-axis (x = 0)
+    ctx.beginPath();
+    ctx.moveTo(Math.round(originPx.x) + 0.5, dims.y);
+    ctx.lineTo(Math.round(originPx.x) + 0.5, 0);
     ctx.stroke();
   }
 
-  // Axes
-  ctx.lineWidth = axisLineWidth;
-  ctx.strokeStyle = axesColor;
+  ctx.restore();
 
-  // x-axis (y = 0)
-  {
-    const p1 = toScreen(new Vec2(-halfWidthUnits, 0));
-    const p2 = toScreen(new Vec2(+halfWidthUnits, 0));
-    ctx.beginPath();
-    ctx.moveTo(p1.x, Math.round(p1.y) + 0.5);
-    ctx.lineTo(p2.x, Math.round(p2.y) + 0.5);
-    ctx.stroke();
+  if (matrix) {
+    drawTransformedGrid(ctx, toScreen, min, max, matrix, {
+      gridColor: matrixGridColor,
+      axesColor: matrixAxesColor,
+      gridLineWidth,
+      axisLineWidth
+    });
   }
-  // y-axis (x = 0)
-  {
-    const p1 = toScreen(new Vec2(0, -halfHeightUnits));
-    const p2 = toScreen(new Vec2(0, +halfHeightUnits));
+
+  if (!showTickLabels && !xAxisLabel && !yAxisLabel) return;
+
+  ctx.save();
+  ctx.font = font;
+  ctx.fillStyle = axesColor;
+  ctx.strokeStyle = bg ?? "#ffffff";
+  ctx.lineWidth = 3;
+  ctx.lineJoin = "round";
+  const text = (label, x, y) => {
+    ctx.strokeText(label, x, y);
+    ctx.fillText(label, x, y);
+  };
+  // Labels follow the axes, but stay on the canvas when an axis is panned off it
+  const gap = 4;
+  const labelY = Math.min(Math.max(originPx.y + gap, gap), dims.y - 14);
+  const labelX = Math.min(Math.max(originPx.x - gap, 30), dims.x - gap);
+
+  if (showTickLabels) {
+    const { major, decimals } = spacing;
+    const format = (value) => formatScalar(value, decimals);
+
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    for (let k = Math.ceil(min.x / major); k <= Math.floor(max.x / major); k++) {
+      if (k === 0) continue;
+      text(format(k * major), toScreen(new Vec2(k * major, 0)).x, labelY);
+    }
+
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    for (let k = Math.ceil(min.y / major); k <= Math.floor(max.y / major); k++) {
+      if (k === 0) continue;
+      text(format(k * major), labelX, toScreen(new Vec2(0, k * major)).y);
+    }
+
+    // One 0 for both axes, below and left of the origin
+    ctx.textBaseline = "top";
+    text("0", originPx.x - gap, originPx.y + gap);
+  }
+
+  // Axis names at the positive ends
+  if (xAxisLabel) {
+    ctx.textAlign = "right";
+    ctx.textBaseline = "bottom";
+    text(xAxisLabel, dims.x - gap * 2, Math.min(Math.max(originPx.y - gap, 16), dims.y - gap));
+  }
+  if (yAxisLabel) {
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    text(yAxisLabel, Math.min(Math.max(originPx.x + gap * 2, gap), dims.x - 30), gap * 2);
+  }
+
+  ctx.restore();
+}
+
+// Most lines drawn per direction, however squashed the transformation
+const maxTransformedLines = 200;
+
+/**
+ * The lines x = k and y = k mapped through `matrix`, covering the visible
+ * world rectangle `min`..`max`. Lines are found in the untransformed plane,
+ * by mapping the visible corners back through the inverse.
+ */
+function drawTransformedGrid(ctx, toScreen, min, max, matrix, { gridColor, axesColor, gridLineWidth, axisLineWidth }) {
+  // wtc-math's Mat2 is column-major: (a11, a12) is the image of x, (a21, a22) of y
+  const { a11, a12, a21, a22 } = matrix;
+  const det = a11 * a22 - a21 * a12;
+  const apply = (x, y) => toScreen(new Vec2(a11 * x + a21 * y, a12 * x + a22 * y));
+
+  const line = (from, to, color, lineWidth) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
     ctx.beginPath();
-    ctx.moveTo(Math.round(p1.x) + 0.5, p1.y);
-    ctx.lineTo(Math.round(p2.x) + 0.5, p2.y);
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
     ctx.stroke();
+  };
+
+  ctx.save();
+  ctx.lineCap = "round";
+
+  // A singular matrix squashes the plane onto a line (or a point)
+  if (Math.abs(det) < 1e-9) {
+    const direction = new Vec2(a11, a12).length > 1e-9 ? new Vec2(a11, a12) : new Vec2(a21, a22);
+    if (direction.length > 1e-9) {
+      // Long enough to cross the visible area from the origin either way
+      const reach = (max.subtractNew(min).length + min.length + max.length) / direction.length;
+      line(toScreen(direction.scaleNew(-reach)), toScreen(direction.scaleNew(reach)), axesColor, axisLineWidth);
+    }
+    ctx.restore();
+    return;
   }
 
+  // The visible corners in the untransformed plane
+  const inverse = (p) => new Vec2((a22 * p.x - a21 * p.y) / det, (-a12 * p.x + a11 * p.y) / det);
+  const corners = [min, max, new Vec2(min.x, max.y), new Vec2(max.x, min.y)].map(inverse);
+  const lo = new Vec2(Math.min(...corners.map(c => c.x)), Math.min(...corners.map(c => c.y)));
+  const hi = new Vec2(Math.max(...corners.map(c => c.x)), Math.max(...corners.map(c => c.y)));
+
+  const lines = (from, to) => {
+    const step = Math.max(1, Math.ceil((to - from) / maxTransformedLines));
+    const ks = [];
+    for (let k = Math.ceil(from / step) * step; k <= to; k += step) ks.push(k);
+    return ks;
+  };
+
+  lines(lo.x, hi.x).forEach(k => k !== 0 && line(apply(k, lo.y), apply(k, hi.y), gridColor, gridLineWidth));
+  lines(lo.y, hi.y).forEach(k => k !== 0 && line(apply(lo.x, k), apply(hi.x, k), gridColor, gridLineWidth));
+
+  // The transformed axes
+  line(apply(lo.x, 0), apply(hi.x, 0), axesColor, axisLineWidth);
+  line(apply(0, lo.y), apply(0, hi.y), axesColor, axisLineWidth);
+
   ctx.restore();
 }
 
+/**
+ * Draws a vector's shaft and head.
+ * @param {object} [options]
+ * @param {boolean} [options.dashed] Dash the shaft; heads stay solid.
+ * @param {string} [options.head] `filled` (default), `open`, `double` (filled at both ends) or `none`.
+ */
 export function drawArrow(ctx, fromPx, toPx, {
   color = "#333",
   lineWidth = 2,
   headSize = 8,
   headAngle = Math.PI / 7,
   interactive = false,
-  bg = "#ffffff"
+  bg = "#ffffff",
+  dashed = false,
+  head = "filled"
 } = {}) {
   ctx.save();
   ctx.strokeStyle = color;
@@ -94,61 +297,343 @@ export function drawArrow(ctx, fromPx, toPx, {
   ctx.beginPath();
   ctx.moveTo(fromPx.x, fromPx.y);
   ctx.lineTo(toPx.x, toPx.y);
+  setDash(ctx, dashed, lineWidth);
   ctx.stroke();
-
-  // Arrow head
-  const dx = toPx.x - fromPx.x;
-  const dy = toPx.y - fromPx.y;
-  const ang = Math.atan2(dy, dx);
-
-  const left = {
-    x: toPx.x - headSize * Math.cos(ang - headAngle),
-    y: toPx.y - headSize * Math.sin(ang - headAngle)
-  };
-  const right = {
-    x: toPx.x - headSize * Math.cos(ang + headAngle),
-    y: toPx.y - headSize * Math.sin(ang + headAngle)
-  };
+  ctx.setLineDash([]);
 
   // Draw interactive handle behind arrowhead if enabled
   if (interactive) {
-    ctx.beginPath();
-    ctx.arc(toPx.x, toPx.y, 8, 0, Math.PI * 2);
+    drawHandle(ctx, toPx, { color, bg });
+  }
 
-    // Semi-transparent fill
-    ctx.globalAlpha = 0.5;
-    ctx.fillStyle = color;
+  // Arrow head, pointing from `tailPx` to `tipPx`
+  const drawHead = (tailPx, tipPx) => {
+    const ang = Math.atan2(tipPx.y - tailPx.y, tipPx.x - tailPx.x);
+
+    const left = {
+      x: tipPx.x - headSize * Math.cos(ang - headAngle),
+      y: tipPx.y - headSize * Math.sin(ang - headAngle)
+    };
+    const right = {
+      x: tipPx.x - headSize * Math.cos(ang + headAngle),
+      y: tipPx.y - headSize * Math.sin(ang + headAngle)
+    };
+
+    ctx.beginPath();
+    if (head === "open") {
+      ctx.moveTo(left.x, left.y);
+      ctx.lineTo(tipPx.x, tipPx.y);
+      ctx.lineTo(right.x, right.y);
+      ctx.lineJoin = "round";
+      ctx.lineCap = "round";
+      ctx.stroke();
+      return;
+    }
+    ctx.moveTo(tipPx.x, tipPx.y);
+    ctx.lineTo(left.x, left.y);
+    ctx.lineTo(right.x, right.y);
+    ctx.closePath();
     ctx.fill();
-    ctx.globalAlpha = 1.0;
+  };
 
-    // Stroke with background color
-    ctx.strokeStyle = bg;
-    ctx.lineWidth = 2;
-    ctx.stroke();
-  }
+  if (head !== "none") drawHead(fromPx, toPx);
+  if (head === "double") drawHead(toPx, fromPx);
+
+  ctx.restore();
+}
+
+
+/**
+ * The round, semi-transparent grab handle shown on draggable points.
+ */
+export function drawHandle(ctx, px, { color = "#333", bg = "#ffffff", radius = 8 } = {}) {
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(px.x, px.y, radius, 0, Math.PI * 2);
+
+  // Semi-transparent fill
+  const alpha = ctx.globalAlpha;
+  ctx.globalAlpha = alpha * 0.5;
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.globalAlpha = alpha;
+
+  // Stroke with background color
+  ctx.strokeStyle = bg;
+  ctx.lineWidth = 2;
+  ctx.stroke();
+  ctx.restore();
+}
+
+export function drawPoint(ctx, px, { color = "#333", radius = 4, bg = "#ffffff" } = {}) {
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(px.x, px.y, radius, 0, Math.PI * 2);
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.strokeStyle = bg;
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+  ctx.restore();
+}
 
+// Dashes in proportion to the stroke, for the `dashed` modifier
+function setDash(ctx, dashed, lineWidth) {
+  if (dashed) ctx.setLineDash([lineWidth * 3, lineWidth * 2]);
+}
+
+export function drawSegment(ctx, fromPx, toPx, { color = "#333", lineWidth = 2, dashed = false } = {}) {
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+  ctx.lineCap = dashed ? "butt" : "round";
+  setDash(ctx, dashed, lineWidth);
   ctx.beginPath();
-  ctx.moveTo(toPx.x, toPx.y);
-  ctx.lineTo(left.x, left.y);
-  ctx.lineTo(right.x, right.y);
+  ctx.moveTo(fromPx.x, fromPx.y);
+  ctx.lineTo(toPx.x, toPx.y);
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Draws an infinite line through two screen points, extended past the canvas edges.
+ */
+export function drawLine(ctx, dims, aPx, bPx, { color = "#333", lineWidth = 2, dashed = false } = {}) {
+  const direction = bPx.subtractNew(aPx);
+  if (direction.length === 0) return;
+
+  // Far enough to leave the canvas from any point on it
+  const reach = (dims.x + dims.y) * 2 + aPx.length;
+  const step = direction.scaleNew(reach / direction.length);
+
+  drawSegment(ctx, aPx.subtractNew(step), aPx.addNew(step), { color, lineWidth, dashed });
+}
+
+export function drawCircle(ctx, centerPx, radiusPx, { color = "#333", lineWidth = 2, dashed = false } = {}) {
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+  setDash(ctx, dashed, lineWidth);
+  ctx.beginPath();
+  ctx.arc(centerPx.x, centerPx.y, Math.max(radiusPx, 0), 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.restore();
+}
+
+export function drawPolygon(ctx, pointsPx, { color = "#333", lineWidth = 2, fillAlpha = 0.12, dashed = false } = {}) {
+  if (pointsPx.length < 2) return;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.moveTo(pointsPx[0].x, pointsPx[0].y);
+  pointsPx.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
   ctx.closePath();
+
+  const alpha = ctx.globalAlpha;
+  ctx.globalAlpha = alpha * fillAlpha;
   ctx.fillStyle = color;
   ctx.fill();
+  ctx.globalAlpha = alpha;
 
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+  ctx.lineJoin = "round";
+  setDash(ctx, dashed, lineWidth);
+  ctx.stroke();
   ctx.restore();
 }
 
+/**
+ * Draws an angle arc at a vertex with its label just outside the arc.
+ * @param {number} startAngle World-space angle (radians, anticlockwise from +x) the arc starts at.
+ * @param {number} sweep Signed world-space angle to sweep; positive is anticlockwise.
+ */
+export function drawAngle(ctx, vertexPx, startAngle, sweep, {
+  color = "#333",
+  lineWidth = 1.5,
+  radius = 24,
+  label,
+  font = "12px system-ui",
+  bg = "#ffffff",
+  dashed = false
+} = {}) {
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+
+  // Screen y points down, so world angles are negated
+  ctx.beginPath();
+  ctx.moveTo(vertexPx.x, vertexPx.y);
+  ctx.arc(vertexPx.x, vertexPx.y, radius, -startAngle, -(startAngle + sweep), sweep > 0);
+  ctx.closePath();
+  const alpha = ctx.globalAlpha;
+  ctx.globalAlpha = alpha * 0.12;
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.globalAlpha = alpha;
+
+  ctx.beginPath();
+  ctx.arc(vertexPx.x, vertexPx.y, radius, -startAngle, -(startAngle + sweep), sweep > 0);
+  setDash(ctx, dashed, lineWidth);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  if (label) {
+    const bisector = startAngle + sweep / 2;
+    const labelRadius = radius + 14;
+    const x = vertexPx.x + Math.cos(bisector) * labelRadius;
+    const y = vertexPx.y - Math.sin(bisector) * labelRadius;
+
+    ctx.font = font;
+    ctx.textBaseline = "middle";
+    ctx.textAlign = "center";
+    ctx.strokeStyle = bg;
+    ctx.lineWidth = 4;
+    ctx.strokeText(label, x, y);
+    ctx.fillStyle = color;
+    ctx.fillText(label, x, y);
+  }
+  ctx.restore();
+}
+
+/**
+ * Marks what a dragged point snapped to (see snapPoint): a ring around a tip,
+ * tail or the origin, the axis it's on, a cross at a grid point, or for polar
+ * snaps a guide along the direction with the angle and length.
+ * @param {object} hint
+ * @param {Function} toScreen World to screen transform.
+ */
+export function drawSnapHint(ctx, dims, hint, toScreen, {
+  color = "#333",
+  bg = "#ffffff",
+  font = "12px system-ui"
+} = {}) {
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = 1.5;
+
+  if (hint.type === "point") {
+    const px = toScreen(hint.at);
+    ctx.beginPath();
+    ctx.arc(px.x, px.y, 11, 0, Math.PI * 2);
+    ctx.stroke();
+  } else if (hint.type === "axis") {
+    const originPx = toScreen(new Vec2(0, 0));
+    const px = toScreen(hint.at);
+    ctx.globalAlpha *= 0.6;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    if (hint.axis === "x") {
+      ctx.moveTo(0, originPx.y);
+      ctx.lineTo(dims.x, originPx.y);
+    } else {
+      ctx.moveTo(originPx.x, 0);
+      ctx.lineTo(originPx.x, dims.y);
+    }
+    ctx.stroke();
+    ctx.globalAlpha /= 0.6;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(px.x, px.y, 7, 0, Math.PI * 2);
+    ctx.stroke();
+  } else if (hint.type === "grid") {
+    const px = toScreen(hint.at);
+    ctx.beginPath();
+    ctx.moveTo(px.x - 7, px.y);
+    ctx.lineTo(px.x + 7, px.y);
+    ctx.moveTo(px.x, px.y - 7);
+    ctx.lineTo(px.x, px.y + 7);
+    ctx.stroke();
+  } else if (hint.type === "polar") {
+    const fromPx = toScreen(hint.from);
+    const toPx = toScreen(hint.to);
+    const direction = toPx.subtractNew(fromPx);
+    const along = direction.length > 0 ? direction.normaliseNew() : new Vec2(1, 0);
+
+    // A dashed guide running on past the tip
+    ctx.globalAlpha *= 0.6;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(fromPx.x, fromPx.y);
+    ctx.lineTo(toPx.x + along.x * 40, toPx.y + along.y * 40);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.globalAlpha /= 0.6;
+
+    if (hint.degrees !== undefined) {
+      drawAngle(ctx, fromPx, 0, hint.degrees * Math.PI / 180, {
+        color, bg, font, radius: 20, label: `${Number(hint.degrees.toFixed(1))}°`
+      });
+    }
+    if (hint.length !== undefined) {
+      // Beside the middle of the guide, on the side away from the angle
+      const mid = fromPx.addNew(direction.scaleNew(.5));
+      const side = new Vec2(along.y, -along.x).scale(-14);
+      const text = String(Number(hint.length.toFixed(2)));
+      ctx.font = font;
+      ctx.textBaseline = "middle";
+      ctx.textAlign = "center";
+      ctx.strokeStyle = bg;
+      ctx.lineWidth = 4;
+      ctx.strokeText(text, mid.x + side.x, mid.y + side.y);
+      ctx.fillText(text, mid.x + side.x, mid.y + side.y);
+    }
+  }
+  ctx.restore();
+}
 
 export function pickColor(properties, fallback = "#333") {
   if (!properties) return fallback;
   if (typeof properties.color === "string") return properties.color;
   if (typeof properties.colour === "string") return properties.colour;
-
-  // Any hex-like string in properties
-  for (const v of Object.values(properties)) {
-    if (typeof v === "string" && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(v)) {
-      return v;
-    }
-  }
+  // parseProperties puts every colour in `color`; other strings, such as a label, aren't colours
   return fallback;
-}
\ No newline at end of file
+}
+
+/**
+ * Formats a scalar or boolean for display, eg `3.14` or `true`.
+ */
+export function formatScalar(value, precision = 2) {
+  if (typeof value === "boolean") return String(value);
+  if (!Number.isFinite(value)) return String(value);
+  // Avoid showing "-0.00" for tiny negatives
+  const fixed = value.toFixed(precision);
+  return Number(fixed) === 0 ? (0).toFixed(precision) : fixed;
+}
+
+/**
+ * Draws a legend of `name = value` rows in a box anchored to the top-left corner.
+ * @param {Array<{ text: string, color: string }>} rows
+ */
+export function drawReadout(ctx, rows, {
+  font = "12px system-ui",
+  bg = "#ffffff",
+  borderColor = "#e5e7eb",
+  padding = 8,
+  lineHeight = 18,
+  margin = 10
+} = {}) {
+  if (!rows.length) return;
+
+  ctx.save();
+  ctx.font = font;
+  const width = Math.max(...rows.map(row => ctx.measureText(row.text).width)) + padding * 2;
+  const height = rows.length * lineHeight + padding * 2 - (lineHeight - 12);
+
+  ctx.globalAlpha = 0.9;
+  ctx.fillStyle = bg;
+  ctx.fillRect(margin, margin, width, height);
+  ctx.globalAlpha = 1.0;
+  ctx.strokeStyle = borderColor;
+  ctx.lineWidth = 1;
+  ctx.strokeRect(margin + 0.5, margin + 0.5, width, height);
+
+  ctx.textBaseline = "top";
+  ctx.textAlign = "left";
+  rows.forEach((row, i) => {
+    ctx.fillStyle = row.color;
+    ctx.fillText(row.text, margin + padding, margin + padding + i * lineHeight);
+  });
+  ctx.restore();
+}
@@ -0,0 +1,69 @@
+import { Vec2 } from "wtc-math";
+
+import { Point, Segment, Line, Circle, Polygon, Angle, isDrawable } from "./primitives";
+
+/**
+ * The world positions that have to be visible for a variable to be seen:
+ * a vector's tail and tip, a shape's points, a circle's bounding box.
+ */
+function extentPoints(entry) {
+  const value = entry.value;
+  const origin = entry.properties?.origin ?? new Vec2(0, 0);
+
+  if (value instanceof Point) return [origin.addNew(value)];
+  if (value instanceof Vec2) return [origin, origin.addNew(value)];
+  if (value instanceof Segment) return [value.start, value.end];
+  // Infinite, so only the point it's defined by
+  if (value instanceof Line) return [value.point];
+  if (value instanceof Circle) {
+    const r = new Vec2(value.radius, value.radius);
+    return [value.center.subtractNew(r), value.center.addNew(r)];
+  }
+  if (value instanceof Polygon) return value.points;
+  if (value instanceof Angle) return [origin];
+  return [];
+}
+
+/**
+ * The world-space box around everything a runner draws, including vectors'
+ * origins and derived (reference) variables. Hidden variables are left out.
+ * @param {InstructionRunner} runner
+ * @returns {{ min: Vec2, max: Vec2 }|null} Null when nothing is drawn.
+ */
+export function sceneBounds(runner) {
+  let min = null;
+  let max = null;
+
+  for (const entry of Object.values(runner?.variables ?? {})) {
+    if (!entry || !isDrawable(entry.value) || entry.properties?.hidden) continue;
+    for (const p of extentPoints(entry)) {
+      if (!Number.isFinite(p.x) || !Number.isFinite(p.y)) continue;
+      min = min ? new Vec2(Math.min(min.x, p.x), Math.min(min.y, p.y)) : new Vec2(p.x, p.y);
+      max = max ? new Vec2(Math.max(max.x, p.x), Math.max(max.y, p.y)) : new Vec2(p.x, p.y);
+    }
+  }
+
+  return min ? { min, max } : null;
+}
+
+/**
+ * The view (see zoomViewAt) that shows `bounds` as large as possible,
+ * centred, leaving `padding` pixels on every side.
+ * @param {{ min: Vec2, max: Vec2 }} bounds See sceneBounds.
+ * @param {Vec2} dims Canvas size in pixels.
+ * @param {object} [options]
+ * @param {number} [options.unit] Used when the bounds are a single point.
+ * @returns {{ unit: number, offset: Vec2 }}
+ */
+export function fitView(bounds, dims, { padding = 40, unit = 40, minUnit = 4, maxUnit = 400 } = {}) {
+  const size = bounds.max.subtractNew(bounds.min);
+  const available = new Vec2(Math.max(dims.x - padding * 2, 1), Math.max(dims.y - padding * 2, 1));
+  // A flat box (eg one horizontal vector) only constrains one direction
+  const fits = [size.x > 0 && available.x / size.x, size.y > 0 && available.y / size.y].filter(Boolean);
+  const fitted = fits.length ? Math.min(...fits) : unit;
+  const clamped = Math.min(Math.max(fitted, minUnit), maxUnit);
+
+  // Put the centre of the box at the centre of the canvas
+  const centre = bounds.min.addNew(bounds.max).scale(.5);
+  return { unit: clamped, offset: new Vec2(-centre.x * clamped, centre.y * clamped) };
+}
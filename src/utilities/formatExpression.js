@@ -0,0 +1,63 @@
+// Map operators to display symbols
+const opSymbols = {
+  '+': '+',
+  '-': '-',
+  '*': '×',
+  '/': '÷'
+};
+
+const precedence = {
+  '+': 1,
+  '-': 1,
+  '*': 2,
+  '/': 2
+};
+
+/**
+ * Turns a parsed expression node back into readable text, eg `a - b` or
+ * `(a + b) × 2`, adding parentheses only where precedence needs them.
+ * @param {object} node - The expression node from the parser.
+ * @returns {string}
+ */
+export function formatExpression(node) {
+  if (typeof node !== 'object' || node === null) return String(node);
+
+  switch (node.type) {
+    case "Literal":
+      return typeof node.value === 'string' ? JSON.stringify(node.value) : String(node.value);
+    case "VariableReference":
+      return node.name;
+    case "Function":
+      return `${node.name}(${node.args.map(formatExpression).join(', ')})`;
+    case "Operation": {
+      const wrap = (child, isRight) => {
+        const text = formatExpression(child);
+        if (child?.type !== 'Operation') return text;
+        const childPrecedence = precedence[child.operator];
+        const ownPrecedence = precedence[node.operator];
+        // a - (b - c) and a / (b * c) keep their parentheses
+        const needsParens = childPrecedence < ownPrecedence
+          || (isRight && childPrecedence === ownPrecedence && (node.operator === '-' || node.operator === '/'));
+        return needsParens ? `(${text})` : text;
+      };
+      return `${wrap(node.left, false)} ${opSymbols[node.operator] ?? node.operator} ${wrap(node.right, true)}`;
+    }
+    case "UnaryOperation": {
+      const text = formatExpression(node.argument);
+      return node.argument?.type === 'Operation' ? `${node.operator}(${text})` : `${node.operator}${text}`;
+    }
+    case "VariableMethodCall":
+    case "VariablePropertyAccess": {
+      // Calls and member chains read fine without parentheses: Vec2(1, 2).length
+      const bare = ['VariableMethodCall', 'VariablePropertyAccess', 'Function'];
+      const target = node.variable
+        ?? (bare.includes(node.object?.type) ? formatExpression(node.object) : `(${formatExpression(node.object)})`);
+      const member = node.type === 'VariableMethodCall'
+        ? `${node.method}(${node.args.map(formatExpression).join(', ')})`
+        : node.property;
+      return `${target}.${member}`;
+    }
+    default:
+      return '';
+  }
+}
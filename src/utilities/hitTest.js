@@ -0,0 +1,120 @@
+import { Vec2 } from "wtc-math";
+
+import { Point, Segment, Line, Circle, Polygon, isDrawable } from "./primitives";
+
+/**
+ * Finding what's under the pointer. Points - vector tips and tails, and shape
+ * handles - are preferred over lines, so a tip can be grabbed where it sits on another
+ * vector's shaft. Within each kind the nearest wins, and of equally near
+ * targets the one drawn last, which is on top.
+ */
+
+// Distances within this many pixels count as equally near
+const tieDistance = 0.5;
+
+// Pixel distance from `p` to the segment a-b
+export function distanceToSegment(p, a, b) {
+  const ab = b.subtractNew(a);
+  const lengthSquared = ab.lengthSquared;
+  const t = lengthSquared > 0
+    ? Math.min(Math.max(p.subtractNew(a).dot(ab) / lengthSquared, 0), 1)
+    : 0;
+  return p.subtractNew(a.addNew(ab.scaleNew(t))).length;
+}
+
+// Pixel distance from `p` to the infinite line through a and b
+function distanceToLine(p, a, b) {
+  const ab = b.subtractNew(a);
+  if (ab.length === 0) return p.subtractNew(a).length;
+  return Math.abs(ab.x * (p.y - a.y) - ab.y * (p.x - a.x)) / ab.length;
+}
+
+/**
+ * A variable's draggable points and drawn lines, in screen pixels.
+ * @returns {{ points: Array<{ px: Vec2, part: string, handle?: number }>, lines: Function[] }}
+ *   `lines` are functions giving a point's distance to each line.
+ */
+function targets(entry, toScreen, unit) {
+  const value = entry.value;
+  const origin = entry.properties?.origin ?? new Vec2(0, 0);
+
+  if (value instanceof Point) {
+    return { points: [{ px: toScreen(origin.addNew(value)), part: "tip" }], lines: [] };
+  }
+  if (value instanceof Vec2) {
+    const tailPx = toScreen(origin);
+    const tipPx = toScreen(origin.addNew(value));
+    // The tail is listed first so a zero-length vector's tip wins the tie
+    const tail = entry.properties?.noOriginDot ? [] : [{ px: tailPx, part: "tail" }];
+    return {
+      points: [...tail, { px: tipPx, part: "tip" }],
+      lines: [p => distanceToSegment(p, tailPx, tipPx)]
+    };
+  }
+
+  const points = typeof value.handles === "function"
+    ? value.handles().map((h, handle) => ({ px: toScreen(h), part: "handle", handle }))
+    : [];
+  let lines = [];
+  if (value instanceof Segment) {
+    const [a, b] = [toScreen(value.start), toScreen(value.end)];
+    lines = [p => distanceToSegment(p, a, b)];
+  } else if (value instanceof Line) {
+    const [a, b] = [toScreen(value.point), toScreen(value.point.addNew(value.direction))];
+    lines = [p => distanceToLine(p, a, b)];
+  } else if (value instanceof Circle) {
+    const centerPx = toScreen(value.center);
+    lines = [p => Math.abs(p.subtractNew(centerPx).length - value.radius * unit)];
+  } else if (value instanceof Polygon) {
+    const pointsPx = value.points.map(toScreen);
+    lines = pointsPx.map((a, i) => p => distanceToSegment(p, a, pointsPx[(i + 1) % pointsPx.length]));
+  }
+  return { points, lines };
+}
+
+/**
+ * The variable under a screen position.
+ * @param {InstructionRunner} runner
+ * @param {Function} toScreen World to screen transform, see makeWorldToScreen.
+ * @param {Vec2} px Pointer position in canvas pixels.
+ * @param {object} [options]
+ * @param {number} [options.unit] Pixels per unit, for circles' radii.
+ * @param {number} [options.radius] How close, in pixels, a point must be.
+ * @param {number} [options.lineRadius] How close a line must be; 0 ignores lines.
+ * @param {Function} [options.filter] `(name, entry, part) => boolean`, which
+ *   variables, and which parts of them, may be hit.
+ * @returns {{ name: string, part: "tip"|"tail"|"handle"|"shaft"|"outline", handle?: number, distance: number }|null}
+ */
+export function hitTest(runner, toScreen, px, { unit = 1, radius = 6.5, lineRadius = 0, filter } = {}) {
+  let best = null;
+
+  // `rank` 0 for points, 1 for lines; later variables replace earlier ones on a tie
+  const consider = (hit, rank) => {
+    if (!best || rank < best.rank || (rank === best.rank && hit.distance <= best.distance + tieDistance)) {
+      best = { ...hit, rank };
+    }
+  };
+
+  for (const [name, entry] of Object.entries(runner?.variables ?? {})) {
+    if (!entry || !isDrawable(entry.value) || entry.properties?.hidden) continue;
+    const allowed = (part) => typeof filter !== "function" || filter(name, entry, part);
+
+    const { points, lines } = targets(entry, toScreen, unit);
+    for (const point of points) {
+      const distance = point.px.subtractNew(px).length;
+      if (distance > radius || !allowed(point.part)) continue;
+      consider({ name, part: point.part, ...(point.handle !== undefined && { handle: point.handle }), distance }, 0);
+    }
+    const part = entry.value instanceof Vec2 ? "shaft" : "outline";
+    if (lineRadius > 0 && allowed(part)) {
+      for (const line of lines) {
+        const distance = line(px);
+        if (distance <= lineRadius) consider({ name, part, distance }, 1);
+      }
+    }
+  }
+
+  if (!best) return null;
+  const { rank, ...hit } = best;
+  return hit;
+}
@@ -0,0 +1,190 @@
+import { Vec2 } from "wtc-math";
+
+/**
+ * Geometric primitives that scripts can create alongside plain vectors, eg
+ * `s = Segment(p, q)`. Every primitive can list the world positions of its
+ * control points (`handles`) and move one of them, which is how interactive
+ * primitives are dragged.
+ */
+
+/**
+ * A position rather than a direction: drawn as a dot instead of an arrow.
+ * Arithmetic follows the geometry - a point minus a point is a vector, while
+ * a point plus or minus a vector is still a point. Being a Vec2, an
+ * interactive point is dragged the same way as a vector's tip.
+ */
+export class Point extends Vec2 {
+  clone() {
+    return new Point(this.x, this.y);
+  }
+
+  subtractNew(v) {
+    if (v instanceof Point) return new Vec2(this.x - v.x, this.y - v.y);
+    return super.subtractNew(v);
+  }
+}
+
+// The straight piece between two points
+export class Segment {
+  start;
+  end;
+
+  constructor(start, end) {
+    this.start = new Vec2(start.x, start.y);
+    this.end = new Vec2(end.x, end.y);
+  }
+
+  clone() {
+    return new Segment(this.start, this.end);
+  }
+
+  get length() {
+    return this.end.subtractNew(this.start).length;
+  }
+
+  get midpoint() {
+    return this.start.addNew(this.end).scale(.5);
+  }
+
+  handles() {
+    return [this.start.clone(), this.end.clone()];
+  }
+
+  moveHandle(i, position) {
+    (i === 0 ? this.start : this.end).resetToVector(position);
+  }
+}
+
+// An infinite line through a point along a direction
+export class Line {
+  point;
+  direction;
+
+  constructor(point, direction) {
+    this.point = new Vec2(point.x, point.y);
+    this.direction = new Vec2(direction.x, direction.y);
+  }
+
+  clone() {
+    return new Line(this.point, this.direction);
+  }
+
+  handles() {
+    return [this.point.clone(), this.point.addNew(this.direction)];
+  }
+
+  moveHandle(i, position) {
+    if (i === 0) this.point.resetToVector(position);
+    else this.direction.resetToVector(position.subtractNew(this.point));
+  }
+}
+
+export class Circle {
+  center;
+  radius;
+
+  constructor(center, radius) {
+    this.center = new Vec2(center.x, center.y);
+    this.radius = radius;
+  }
+
+  clone() {
+    return new Circle(this.center, this.radius);
+  }
+
+  get area() {
+    return Math.PI * this.radius * this.radius;
+  }
+
+  get circumference() {
+    return Math.PI * 2 * this.radius;
+  }
+
+  // The centre, and a point on the right of the circle that sets the radius
+  handles() {
+    return [this.center.clone(), this.center.addNew(new Vec2(this.radius, 0))];
+  }
+
+  moveHandle(i, position) {
+    if (i === 0) this.center.resetToVector(position);
+    else this.radius = position.subtractNew(this.center).length;
+  }
+}
+
+export class Polygon {
+  points;
+
+  constructor(...points) {
+    this.points = points.map(p => new Vec2(p.x, p.y));
+  }
+
+  clone() {
+    return new Polygon(...this.points);
+  }
+
+  get centroid() {
+    return this.points
+      .reduce((sum, p) => sum.add(p), new Vec2(0, 0))
+      .scale(1 / this.points.length);
+  }
+
+  // Shoelace formula; positive when the points run anticlockwise
+  get area() {
+    return this.points.reduce((sum, p, i) => {
+      const q = this.points[(i + 1) % this.points.length];
+      return sum + (p.x * q.y - q.x * p.y);
+    }, 0) / 2;
+  }
+
+  handles() {
+    return this.points.map(p => p.clone());
+  }
+
+  moveHandle(i, position) {
+    this.points[i].resetToVector(position);
+  }
+}
+
+// The angle from vector u to vector v, drawn as an arc at their shared origin
+export class Angle {
+  from;
+  to;
+
+  constructor(from, to) {
+    this.from = new Vec2(from.x, from.y);
+    this.to = new Vec2(to.x, to.y);
+  }
+
+  clone() {
+    return new Angle(this.from, this.to);
+  }
+
+  // Signed, -PI to PI, positive when turning anticlockwise from u to v
+  get radians() {
+    const cross = this.from.x * this.to.y - this.from.y * this.to.x;
+    const dot = this.from.x * this.to.x + this.from.y * this.to.y;
+    return Math.atan2(cross, dot);
+  }
+
+  get degrees() {
+    return this.radians * 180 / Math.PI;
+  }
+
+  handles() {
+    return [];
+  }
+
+  moveHandle() {}
+}
+
+/**
+ * Whether a runtime value is something VectorCanvas can draw.
+ */
+export function isDrawable(value) {
+  return value instanceof Vec2
+    || value instanceof Segment
+    || value instanceof Line
+    || value instanceof Circle
+    || value instanceof Polygon
+    || value instanceof Angle;
+}
@@ -0,0 +1,147 @@
+import { Vec2 } from "wtc-math";
+import { Point, Segment, Line, Circle, Polygon } from "./primitives";
+
+/**
+ * Formats a number for writing back into a script: at most `precision`
+ * decimals, without trailing zeros, and never `-0`.
+ */
+export function formatNumber(n, precision = 2) {
+  const rounded = Number(n.toFixed(precision));
+  return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+const isNumberLiteral = (node) => node?.type === 'Literal' && typeof node.value === 'number';
+
+/**
+ * Edits that make `node` evaluate to the vector `vec`. Literal components
+ * are rewritten in place so the author's spacing survives; anything else is
+ * replaced wholesale when `replace` is set, and left alone otherwise.
+ */
+function vectorEdits(node, vec, precision, replace) {
+  if (node?.type === 'Function' && (node.name === 'Vec2' || node.name === 'Point')) {
+    const [x, y] = node.args;
+    if (node.args.length === 2 && isNumberLiteral(x) && isNumberLiteral(y)) {
+      return [
+        { span: x.span, text: formatNumber(vec.x, precision) },
+        { span: y.span, text: formatNumber(vec.y, precision) }
+      ];
+    }
+    // Point(Vec2(1, 2))
+    if (node.args.length === 1) {
+      const inner = vectorEdits(node.args[0], vec, precision, false);
+      if (inner) return inner;
+    }
+  }
+  if (!replace || !node?.span) return null;
+
+  const constructor = vec instanceof Point ? 'Point' : 'Vec2';
+  return [{ span: node.span, text: `${constructor}(${formatNumber(vec.x, precision)}, ${formatNumber(vec.y, precision)})` }];
+}
+
+function numberEdits(node, n, precision) {
+  return isNumberLiteral(node) ? [{ span: node.span, text: formatNumber(n, precision) }] : null;
+}
+
+/**
+ * Edits for a shape's constructor arguments, one control point at a time.
+ * Arguments that aren't literals (eg another variable) are left as they are.
+ */
+function shapeEdits(node, shape, precision) {
+  if (node?.type !== 'Function') return [];
+  const args = node.args;
+  let edits;
+
+  if (shape instanceof Segment) {
+    edits = [vectorEdits(args[0], shape.start, precision, false), vectorEdits(args[1], shape.end, precision, false)];
+  } else if (shape instanceof Line) {
+    edits = [vectorEdits(args[0], shape.point, precision, false), vectorEdits(args[1], shape.direction, precision, false)];
+  } else if (shape instanceof Circle) {
+    edits = [vectorEdits(args[0], shape.center, precision, false), numberEdits(args[1], shape.radius, precision)];
+  } else if (shape instanceof Polygon) {
+    edits = shape.points.map((p, i) => vectorEdits(args[i], p, precision, false));
+  } else {
+    edits = [];
+  }
+  return edits.filter(Boolean).flat();
+}
+
+const originModifier = (entry) => entry?.instruction?.modifiers?.find(m => m.type === 'PropertyFunction' && m.name === 'origin');
+
+/**
+ * Whether a vector's `origin:` can be moved and written back: it's absent, or
+ * literal numbers (`origin: 4 -4`, `origin: Vec2(4, -4)`) rather than an
+ * expression such as `origin: b`, which has to keep following `b`.
+ * @param {object} entry A runner variable.
+ * @returns {boolean}
+ */
+export function hasFreeOrigin(entry) {
+  const modifier = originModifier(entry);
+  if (!modifier) return true;
+  const { args } = modifier;
+  if (args.length === 2) return args.every(isNumberLiteral);
+  return args.length === 1 && vectorEdits(args[0], new Vec2(0, 0), 0, false) !== null;
+}
+
+// Edits that write a moved origin back: the literal numbers, or a new `origin:` after the value
+function originEdits(entry, node, precision) {
+  const origin = entry.properties?.origin;
+  if (!origin || !hasFreeOrigin(entry)) return [];
+
+  const modifier = originModifier(entry);
+  if (!modifier) {
+    const end = node.span.offset + node.span.length;
+    const text = `, origin: ${formatNumber(origin.x, precision)} ${formatNumber(origin.y, precision)}`;
+    return [{ span: { offset: end, length: 0 }, text }];
+  }
+  // Leave numbers that haven't changed as they're written
+  const unchanged = (arg, n) => isNumberLiteral(arg) && arg.value === Number(formatNumber(n, precision));
+  const [x, y] = modifier.args;
+  if (modifier.args.length === 2) {
+    return [
+      ...(unchanged(x, origin.x) ? [] : numberEdits(x, origin.x, precision)),
+      ...(unchanged(y, origin.y) ? [] : numberEdits(y, origin.y, precision))
+    ];
+  }
+  return vectorEdits(x, origin, precision, false) ?? [];
+}
+
+// Edits that write one variable's current value back into its definition
+function variableEdits(runner, name, precision) {
+  const entry = runner.variables[name];
+  const definition = runner.definitions.get(name);
+  const node = entry?.instruction?.value;
+  if (!entry || !node || definition?.mutations.length) return [];
+
+  if (!(entry.value instanceof Vec2)) return shapeEdits(node, entry.value, precision);
+  return [
+    ...(vectorEdits(node, entry.value, precision, true) ?? []),
+    ...(entry.value instanceof Point ? [] : originEdits(entry, node, precision))
+  ];
+}
+
+/**
+ * Rewrites variables' definitions in `script` to match their current values
+ * in the runner, eg after they have been dragged. Only the changed numbers
+ * (or, if they aren't literals, the defining expression) are touched, so
+ * formatting and comments elsewhere are kept.
+ *
+ * A variable is left as written when it can't be written back - for example
+ * when later method calls modify it, since the script would then apply them
+ * a second time.
+ *
+ * @param {string} script The script the runner was built from.
+ * @param {InstructionRunner} runner
+ * @param {string[]} names The variables to write back.
+ * @param {object} [options]
+ * @param {number} [options.precision] Decimals to keep.
+ * @returns {string}
+ */
+export function rewriteVariables(script, runner, names, { precision = 2 } = {}) {
+  const edits = names.flatMap(name => variableEdits(runner, name, precision));
+
+  // Apply from the end so earlier offsets stay valid
+  return edits
+    .sort((a, b) => b.span.offset - a.span.offset)
+    .reduce((text, { span, text: replacement }) =>
+      text.slice(0, span.offset) + replacement + text.slice(span.offset + span.length), script);
+}
@@ -0,0 +1,88 @@
+/**
+ * Encodes a scene - the script plus view settings - into a URL hash and back,
+ * so a demo can be shared as a link. The state is JSON, deflated where the
+ * browser supports CompressionStream, in base64url:
+ *
+ *   #s=<deflated>          or  #u=<uncompressed>
+ *   #s=<deflated>&embed    opens in embed mode, without the editor
+ */
+
+// Settings a link may carry, with the type each must have
+const settingTypes = {
+  fit: "string",
+  unit: "number",
+  snapToGrid: "boolean",
+  snapStep: "number",
+  snapAngle: "number",
+  snapLength: "number",
+  snapMagnetic: "boolean",
+  theme: "string",
+  bg: "string",
+  gridColor: "string",
+  axesColor: "string",
+  vectorDefaultColor: "string"
+};
+
+function toBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach(byte => binary += String.fromCharCode(byte));
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function transform(bytes, stream) {
+  const piped = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(piped).arrayBuffer());
+}
+
+const canCompress = () => typeof CompressionStream === "function" && typeof DecompressionStream === "function";
+
+/**
+ * @param {{ commands: string, settings?: object }} state
+ * @param {object} [options]
+ * @param {boolean} [options.embed] Open the link in embed mode.
+ * @returns {Promise<string>} The hash, including `#`.
+ */
+export async function encodeShareState({ commands, settings = {} }, { embed = false } = {}) {
+  const known = Object.fromEntries(Object.entries(settings).filter(([key]) => key in settingTypes));
+  const bytes = new TextEncoder().encode(JSON.stringify({ commands, settings: known }));
+
+  const params = new URLSearchParams();
+  if (canCompress()) params.set("s", toBase64Url(await transform(bytes, new CompressionStream("deflate-raw"))));
+  else params.set("u", toBase64Url(bytes));
+  if (embed) params.set("embed", "");
+
+  // URLSearchParams would write `embed=`
+  return `#${params.toString().replace(/=(&|$)/g, "$1")}`;
+}
+
+/**
+ * Reads a hash written by encodeShareState. Anything unreadable, or settings
+ * of the wrong type, are dropped rather than failing.
+ * @param {string} hash eg `location.hash`
+ * @returns {Promise<{ commands: string|null, settings: object, embed: boolean }>}
+ */
+export async function decodeShareState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const result = { commands: null, settings: {}, embed: params.has("embed") };
+
+  try {
+    let bytes;
+    if (params.has("s") && canCompress()) bytes = await transform(fromBase64Url(params.get("s")), new DecompressionStream("deflate-raw"));
+    else if (params.has("u")) bytes = fromBase64Url(params.get("u"));
+    else return result;
+
+    const state = JSON.parse(new TextDecoder().decode(bytes));
+    if (typeof state?.commands === "string") result.commands = state.commands;
+    for (const [key, type] of Object.entries(settingTypes)) {
+      if (typeof state?.settings?.[key] === type) result.settings[key] = state.settings[key];
+    }
+  } catch (e) {
+    console.warn("Couldn't read the shared scene from the URL:", e);
+  }
+  return result;
+}
@@ -0,0 +1,156 @@
+import { Vec2 } from "wtc-math";
+
+import { Point, isDrawable } from "./primitives";
+
+/**
+ * Snapping for drags. Magnets come first - a dragged point near another
+ * vector's tip or tail jumps onto it, and near an axis onto that axis - then
+ * polar snaps for a tip (angle increments and lengths, measured from its
+ * tail) and last the grid step. Each snap reports a hint saying what it
+ * snapped to, which drawScene can show.
+ *
+ * Settings are `{ step, angle, length, magnetic }`: a grid step in units, an
+ * angle increment in degrees, a length increment in units, and whether
+ * magnets are on. A 0 (or false) switches that snap off.
+ */
+
+/**
+ * The settings for one variable: the canvas-wide ones, overridden by its
+ * `snap`, `snapAngle` and `snapLength` modifiers, and its `magnetic` flag.
+ * `noSnap` switches every snap off.
+ * @param {{ step?: number, angle?: number, length?: number, magnetic?: boolean }} global
+ * @param {object} [properties] The variable's modifiers.
+ * @returns {{ step: number, angle: number, length: number, magnetic: boolean }}
+ */
+export function snapSettings(global, properties = {}) {
+  if (properties.noSnap) return { step: 0, angle: 0, length: 0, magnetic: false };
+  return {
+    step: properties.snap ?? global.step ?? 0,
+    angle: properties.snapAngle ?? global.angle ?? 0,
+    length: properties.snapLength ?? global.length ?? 0,
+    magnetic: !!(properties.magnetic || global.magnetic)
+  };
+}
+
+/**
+ * Rounds to the nearest multiple of `step`, without the floating point noise
+ * that leaves 0.1 * 3 at 0.30000000000000004.
+ * @param {number} value
+ * @param {number} step
+ * @returns {number}
+ */
+export function roundTo(value, step) {
+  if (!(step > 0)) return value;
+  // A few more decimals than the step has is enough to drop the noise
+  const decimals = Math.min(Math.max(Math.ceil(-Math.log10(step)) + 3, 0), 20);
+  return Number((Math.round(value / step) * step).toFixed(decimals));
+}
+
+// Every variable that reads `name`, directly or through others
+function dependentsOf(runner, name) {
+  const found = new Set();
+  const visit = (n) => {
+    for (const dependent of runner.dependents?.get(n) ?? []) {
+      if (found.has(dependent)) continue;
+      found.add(dependent);
+      visit(dependent);
+    }
+  };
+  visit(name);
+  return found;
+}
+
+/**
+ * The points a drag of `name` can be pulled onto: other vectors' tips and
+ * tails, and points. The dragged variable and everything computed from it
+ * are left out, since they move with the drag.
+ * @param {InstructionRunner} runner
+ * @param {string} name The variable being dragged.
+ * @returns {Array<{ point: Vec2, name: string, part: "tip"|"tail" }>}
+ */
+export function magnetTargets(runner, name) {
+  const excluded = dependentsOf(runner, name).add(name);
+  const targets = [];
+
+  for (const [other, entry] of Object.entries(runner?.variables ?? {})) {
+    if (excluded.has(other) || !entry || !isDrawable(entry.value) || entry.properties?.hidden) continue;
+    if (!(entry.value instanceof Vec2)) continue;
+    const origin = entry.properties?.origin ?? new Vec2(0, 0);
+    if (!(entry.value instanceof Point)) targets.push({ point: origin.clone(), name: other, part: "tail" });
+    targets.push({ point: origin.addNew(entry.value), name: other, part: "tip" });
+  }
+  return targets;
+}
+
+/**
+ * Snaps a dragged point.
+ * @param {Vec2} p Where the pointer would put the point, in world units.
+ * @param {object} settings See snapSettings.
+ * @param {object} context
+ * @param {Function} context.toScreen World to screen transform, for magnet distances.
+ * @param {Vec2} [context.origin] The tail of a dragged tip. Polar snaps and
+ *   the grid step are measured from it; without it there are no polar snaps.
+ * @param {Array} [context.targets] See magnetTargets.
+ * @param {number} [context.radius] How close, in pixels, a magnet pulls from.
+ * @returns {{ point: Vec2, hint: object|null }} The hint is one of
+ *   `{ type: "point", at, name, part }`, `{ type: "axis", axis: "x"|"y", at }`,
+ *   `{ type: "polar", from, to, degrees?, length? }` or `{ type: "grid", at }`.
+ */
+export function snapPoint(p, settings, { toScreen, origin, targets = [], radius = 10 } = {}) {
+  const { step, angle, length, magnetic } = settings;
+
+  if (magnetic) {
+    // The nearest tip or tail in reach
+    const px = toScreen(p);
+    let nearest = null;
+    for (const target of targets) {
+      const distance = toScreen(target.point).subtractNew(px).length;
+      if (distance <= radius && (!nearest || distance < nearest.distance)) nearest = { ...target, distance };
+    }
+    if (nearest) {
+      return { point: nearest.point.clone(), hint: { type: "point", at: nearest.point.clone(), name: nearest.name, part: nearest.part } };
+    }
+
+    // Then the axes, keeping (or stepping) the coordinate along them
+    const axesPx = toScreen(new Vec2(0, 0));
+    const onX = Math.abs(px.y - axesPx.y) <= radius;
+    const onY = Math.abs(px.x - axesPx.x) <= radius;
+    if (onX && onY) {
+      return { point: new Vec2(0, 0), hint: { type: "point", at: new Vec2(0, 0), name: "origin" } };
+    }
+    if (onX || onY) {
+      const point = onX ? new Vec2(roundTo(p.x, step), 0) : new Vec2(0, roundTo(p.y, step));
+      return { point, hint: { type: "axis", axis: onX ? "x" : "y", at: point.clone() } };
+    }
+  }
+
+  if (origin && (angle > 0 || length > 0)) {
+    const value = p.subtractNew(origin);
+    const increment = angle * Math.PI / 180;
+    const theta = angle > 0 ? Math.round(Math.atan2(value.y, value.x) / increment) * increment : Math.atan2(value.y, value.x);
+    const size = length > 0 ? roundTo(value.length, length) : value.length;
+    const snapped = new Vec2(Math.cos(theta) * size, Math.sin(theta) * size);
+    // Whole angles and lengths shouldn't carry sin and cos noise into the script
+    const point = origin.addNew(new Vec2(roundTo(snapped.x, 1e-9), roundTo(snapped.y, 1e-9)));
+    return {
+      point,
+      hint: {
+        type: "polar",
+        from: origin.clone(),
+        to: point.clone(),
+        ...(angle > 0 && { degrees: roundTo(theta * 180 / Math.PI, 1e-9) }),
+        ...(length > 0 && { length: size })
+      }
+    };
+  }
+
+  if (step > 0) {
+    // A tip steps along its value, so a vector from (0.5, 0) still gets whole components
+    const base = origin ?? new Vec2(0, 0);
+    const value = p.subtractNew(base);
+    const point = base.addNew(new Vec2(roundTo(value.x, step), roundTo(value.y, step)));
+    return { point, hint: { type: "grid", at: point.clone() } };
+  }
+
+  return { point: p.clone(), hint: null };
+}
@@ -0,0 +1,80 @@
+/**
+ * Named colour schemes for scenes. Each sets the colours VectorCanvas
+ * otherwise takes as separate props; any of those props, or the matching CSS
+ * custom property on the canvas' container, overrides the theme.
+ */
+export const themes = {
+  light: {
+    bg: "#ffffff",
+    gridColor: "#e5e7eb",
+    axesColor: "#9ca3af",
+    vectorDefaultColor: "#111827",
+    matrixGridColor: "rgba(37, 99, 235, 0.35)",
+    matrixAxesColor: "#2563eb"
+  },
+  dark: {
+    bg: "#111827",
+    gridColor: "#1f2937",
+    axesColor: "#4b5563",
+    vectorDefaultColor: "#f3f4f6",
+    matrixGridColor: "rgba(96, 165, 250, 0.35)",
+    matrixAxesColor: "#60a5fa"
+  },
+  "high-contrast": {
+    bg: "#000000",
+    gridColor: "#595959",
+    axesColor: "#ffffff",
+    vectorDefaultColor: "#ffff00",
+    matrixGridColor: "rgba(0, 255, 255, 0.6)",
+    matrixAxesColor: "#00ffff"
+  },
+  // Black on white with a light grid, for paper
+  print: {
+    bg: "#ffffff",
+    gridColor: "#d4d4d4",
+    axesColor: "#000000",
+    vectorDefaultColor: "#000000",
+    matrixGridColor: "rgba(0, 0, 0, 0.3)",
+    matrixAxesColor: "#000000"
+  }
+};
+
+/**
+ * CSS custom properties that override theme colours, eg
+ * `.demo { --vector-bg: #fdf6e3; }`
+ */
+export const themeProperties = {
+  bg: "--vector-bg",
+  gridColor: "--vector-grid-color",
+  axesColor: "--vector-axes-color",
+  vectorDefaultColor: "--vector-color",
+  matrixGridColor: "--vector-matrix-grid-color",
+  matrixAxesColor: "--vector-matrix-axes-color"
+};
+
+/**
+ * The name of the theme to use. `auto` follows the system's colour scheme.
+ * @param {string} theme A theme name or `auto`.
+ * @param {boolean} prefersDark
+ * @returns {string}
+ */
+export function resolveThemeName(theme = "auto", prefersDark = false) {
+  if (themes[theme]) return theme;
+  return prefersDark ? "dark" : "light";
+}
+
+/**
+ * Theme colours with overrides applied; `undefined` overrides are ignored.
+ * @param {string} name A theme name, see resolveThemeName.
+ * @param {...object} overrides Later ones win.
+ * @returns {object}
+ */
+export function themeColors(name, ...overrides) {
+  const colors = { ...(themes[name] ?? themes.light) };
+  for (const override of overrides) {
+    for (const [key, value] of Object.entries(override ?? {})) {
+      if (value !== undefined && value !== null && value !== "") colors[key] = value;
+    }
+  }
+  return colors;
+}
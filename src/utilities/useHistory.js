@@ -0,0 +1,45 @@
+import { useRef, useState, useCallback } from "preact/hooks";
+import { History } from "./History";
+
+/**
+ * State with an undo/redo timeline, see History.
+ * @param {*} initial
+ * @param {object} [options] Passed to History.
+ * @returns {{value, set: Function, undo: Function, redo: Function, reset: Function, canUndo: boolean, canRedo: boolean}}
+ */
+export function useHistory(initial, options) {
+  const history = useRef(null);
+  if (!history.current) history.current = new History(initial, options);
+  // History mutates in place; bump this to re-render
+  const [, setVersion] = useState(0);
+  const refresh = useCallback(() => setVersion(v => v + 1), []);
+
+  const set = useCallback((value, pushOptions) => {
+    if (history.current.push(value, pushOptions)) refresh();
+  }, [refresh]);
+
+  const undo = useCallback(() => {
+    history.current.undo();
+    refresh();
+  }, [refresh]);
+
+  const redo = useCallback(() => {
+    history.current.redo();
+    refresh();
+  }, [refresh]);
+
+  const reset = useCallback((value) => {
+    history.current.reset(value);
+    refresh();
+  }, [refresh]);
+
+  return {
+    value: history.current.present,
+    set,
+    undo,
+    redo,
+    reset,
+    canUndo: history.current.canUndo,
+    canRedo: history.current.canRedo
+  };
+}
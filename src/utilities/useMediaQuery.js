@@ -0,0 +1,21 @@
+import { useEffect, useState } from "preact/hooks";
+
+/**
+ * Whether a media query matches, updating as it changes.
+ * @param {string} query eg `(prefers-color-scheme: dark)`
+ * @returns {boolean}
+ */
+export function useMediaQuery(query) {
+  const [matches, setMatches] = useState(() => typeof window !== "undefined" && !!window.matchMedia?.(query).matches);
+
+  useEffect(() => {
+    const list = window.matchMedia?.(query);
+    if (!list) return;
+    const update = () => setMatches(list.matches);
+    update();
+    list.addEventListener("change", update);
+    return () => list.removeEventListener("change", update);
+  }, [query]);
+
+  return matches;
+}
@@ -0,0 +1,8 @@
+// Entry point for pages that only want the <vector-demo> element
+import { VectorDemoElement } from "./components/VectorDemoElement.jsx";
+
+if (!customElements.get("vector-demo")) {
+  customElements.define("vector-demo", VectorDemoElement);
+}
+
+export { VectorDemoElement };
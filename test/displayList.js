@@ -0,0 +1,48 @@
+/**
+ * Renders test/fixtures/scene.vec to a display list and compares it with
+ * test/fixtures/scene.json, so changes to what scenes draw show up in Node.
+ * After a deliberate drawing change, `npm test -- --update` rewrites the
+ * fixture; review its diff like any other.
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import { register } from "node:module";
+import { isDeepStrictEqual } from "node:util";
+import { Vec2 } from "wtc-math";
+
+register("../bin/extensionless.js", import.meta.url);
+
+const { InstructionRunner } = await import("../src/utilities/InstructionRunner.js");
+const { renderDisplayList } = await import("../src/utilities/drawScene.js");
+
+const script = new URL("./fixtures/scene.vec", import.meta.url);
+const fixture = new URL("./fixtures/scene.json", import.meta.url);
+
+// Where two lists first differ, eg `[3].items[0].to`
+function firstDifference(actual, expected, path = "") {
+  if (isDeepStrictEqual(actual, expected)) return null;
+  if (typeof actual !== "object" || typeof expected !== "object" || !actual || !expected) return path || "(root)";
+  for (const key of new Set([...Object.keys(actual), ...Object.keys(expected)])) {
+    const difference = firstDifference(actual[key], expected[key], Array.isArray(actual) ? `${path}[${key}]` : `${path}.${key}`);
+    if (difference) return difference;
+  }
+  return path || "(root)";
+}
+
+const runner = InstructionRunner.parse({ commands: await readFile(script, "utf8") });
+const list = renderDisplayList(runner, new Vec2(200, 150), { view: { unit: 20, offset: new Vec2(0, 0) } });
+const actual = JSON.parse(JSON.stringify(list));
+
+if (process.argv.includes("--update")) {
+  await writeFile(fixture, `${JSON.stringify(actual, null, 2)}\n`);
+  console.log(`Updated ${fixture.pathname}`);
+} else {
+  const expected = JSON.parse(await readFile(fixture, "utf8"));
+  const difference = firstDifference(actual, expected);
+  if (difference) {
+    console.error(`Display list differs from test/fixtures/scene.json at ${difference}`);
+    console.error("If the change is intended, run `npm test -- --update` and review the fixture's diff.");
+    process.exitCode = 1;
+  } else {
+    console.log("Display list matches test/fixtures/scene.json");
+  }
+}
@@ -1,8 +1,21 @@
 import { defineConfig } from 'vite'
 import preact from '@preact/preset-vite'
+import { fileURLToPath } from 'node:url'
 
 export default defineConfig({
   plugins: [preact()],
   // Base URL for GitHub Pages - can be overridden by --base flag
   // base: './' // Adding in package.json build command instead
+  build: {
+    rollupOptions: {
+      input: {
+        main: fileURLToPath(new URL('./index.html', import.meta.url)),
+        // The <vector-demo> custom element, at a stable path for embedding
+        'vector-demo': fileURLToPath(new URL('./src/vector-demo.js', import.meta.url))
+      },
+      output: {
+        entryFileNames: (chunk) => chunk.name === 'vector-demo' ? 'vector-demo.js' : 'assets/[name]-[hash].js'
+      }
+    }
+  }
 })